@@ -1,3 +1,4 @@
 exports.DATABASE_ERROR = 1000;
 exports.EMAIL_ERROR = 1001;
-exports.FILE_SYSTEM_ERROR = 1002;
\ No newline at end of file
+exports.FILE_SYSTEM_ERROR = 1002;
+exports.IDENTITY_PROVIDER_ERROR = 1003;
\ No newline at end of file
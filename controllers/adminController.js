@@ -0,0 +1,600 @@
+const Joi = require("joi");
+
+const AppError = require("../utils/AppError");
+const { escapeRegExp } = require("../utils");
+const { success } = require("../utils/apiResponse");
+const { revokeSessions } = require("../utils/sessions");
+const { tombstoneMessage } = require("../utils/messages");
+
+const Chat = require("../models/Chat");
+const Report = require("../models/Report");
+const Message = require("../models/Message");
+const AuditLog = require("../models/AuditLog");
+const { User } = require("../models/User");
+
+class AdminController {
+  /**
+   * @route   GET /api/v1/admin/users
+   * @desc    List and search all the users, filtered by role and suspension
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getUsers(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      search: Joi.string().trim().max(100).allow(""),
+      role: Joi.string().valid("user", "moderator", "admin"),
+      suspended: Joi.boolean(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+    });
+
+    // Validate request query with Joi schema
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const filter = {};
+
+    if (value.search) {
+      const search = new RegExp(escapeRegExp(value.search), "i");
+      filter.$or = [
+        { username: search },
+        { email: search },
+        { firstName: search },
+        { lastName: search },
+      ];
+    }
+
+    if (value.role) filter.role = value.role;
+    if (value.suspended !== undefined)
+      filter.suspendedAt = value.suspended ? { $ne: null } : null;
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select("-password -__v")
+        .sort({ createdAt: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit),
+    ]);
+
+    await AuditLog.record(req, "user.list", { meta: req.query });
+
+    return res.status(200).json(
+      success("Success", 200, {
+        users,
+        page: value.page,
+        limit: value.limit,
+        total,
+        hasMore: value.page * value.limit < total,
+      })
+    );
+  }
+
+  /**
+   * @route   GET /api/v1/admin/users/:id
+   * @desc    Get the details of a user
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getUser(req, res) {
+    // Define Joi schema for params validation
+    const schema = Joi.string()
+      .label("User ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: userId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const user = await User.findById(userId).select("-password -__v");
+    if (!user) throw new AppError("User Not Found", 404);
+
+    const reportsCount = await Report.countDocuments({ reportedUser: userId });
+
+    await AuditLog.record(req, "user.view", { targetType: "user", targetId: userId });
+
+    return res
+      .status(200)
+      .json(success("Success", 200, { user, reportsCount }));
+  }
+
+  /**
+   * @route   PUT /api/v1/admin/users/:id/suspend
+   * @desc    Suspend a user (optionally until a time) and logout all of their sessions
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async suspendUser(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      userId: Joi.string()
+        .label("User ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      reason: Joi.string().trim().min(3).max(500).required(),
+      until: Joi.date().iso().greater("now"),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({ ...req.body, userId: req.params.id });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    if (value.userId === req.user._id.toString())
+      throw new AppError("User is not able to suspend itself", 400);
+
+    const user = await User.findById(value.userId);
+    if (!user) throw new AppError("User Not Found", 404);
+
+    // Moderators can only suspend the regular users
+    if (user.role !== "user" && req.user.role !== "admin")
+      throw new AppError("Only an admin can suspend a moderator or an admin", 403);
+
+    const updatedUser = await User.findByIdAndUpdate(
+      value.userId,
+      {
+        suspendedAt: new Date(),
+        suspendedUntil: value.until || null,
+        suspensionReason: value.reason,
+      },
+      { new: true, select: "-password -__v" }
+    );
+
+    const revokedSessions = await revokeSessions({ user: value.userId });
+
+    await AuditLog.record(req, "user.suspend", {
+      targetType: "user",
+      targetId: value.userId,
+      meta: { reason: value.reason, until: value.until, revokedSessions },
+    });
+
+    return res
+      .status(200)
+      .json(success("User suspended successfully", 200, { user: updatedUser }));
+  }
+
+  /**
+   * @route   PUT /api/v1/admin/users/:id/unsuspend
+   * @desc    Remove the suspension of a user
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async unsuspendUser(req, res) {
+    // Define Joi schema for params validation
+    const schema = Joi.string()
+      .label("User ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: userId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const user = await User.findById(userId).select("role");
+    if (!user) throw new AppError("User Not Found", 404);
+
+    // Moderators can only unsuspend the regular users
+    if (user.role !== "user" && req.user.role !== "admin")
+      throw new AppError("Only an admin can unsuspend a moderator or an admin", 403);
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: userId, suspendedAt: { $ne: null } },
+      { $unset: { suspendedAt: 1, suspendedUntil: 1, suspensionReason: 1 } },
+      { new: true, select: "-password -__v" }
+    );
+    if (!updatedUser) throw new AppError("This User is not suspended", 404);
+
+    await AuditLog.record(req, "user.unsuspend", { targetType: "user", targetId: userId });
+
+    return res
+      .status(200)
+      .json(success("User unsuspended successfully", 200, { user: updatedUser }));
+  }
+
+  /**
+   * @route   POST /api/v1/admin/users/:id/logout
+   * @desc    Force logout all the sessions of a user and disconnect their sockets
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async forceLogoutUser(req, res) {
+    // Define Joi schema for params validation
+    const schema = Joi.string()
+      .label("User ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: userId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const user = await User.findById(userId).select("role");
+    if (!user) throw new AppError("User Not Found", 404);
+
+    // Moderators can only logout the regular users
+    if (user.role !== "user" && req.user.role !== "admin")
+      throw new AppError("Only an admin can logout a moderator or an admin", 403);
+
+    const revokedSessions = await revokeSessions({ user: userId });
+
+    await AuditLog.record(req, "user.force_logout", {
+      targetType: "user",
+      targetId: userId,
+      meta: { revokedSessions },
+    });
+
+    return res
+      .status(200)
+      .json(success("User logged out successfully", 200, { revokedSessions }));
+  }
+
+  /**
+   * @route   PUT /api/v1/admin/users/:id/role
+   * @desc    Change the platform role of a user
+   * @access  Admin
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async updateUserRole(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      userId: Joi.string()
+        .label("User ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      role: Joi.string().valid("user", "moderator", "admin").required(),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({ ...req.body, userId: req.params.id });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    if (value.userId === req.user._id.toString())
+      throw new AppError("User is not able to change its own role", 400);
+
+    const user = await User.findById(value.userId);
+    if (!user) throw new AppError("User Not Found", 404);
+
+    const updatedUser = await User.findByIdAndUpdate(
+      value.userId,
+      { role: value.role },
+      { new: true, select: "-password -__v" }
+    );
+
+    await AuditLog.record(req, "user.role_change", {
+      targetType: "user",
+      targetId: value.userId,
+      meta: { from: user.role, to: value.role },
+    });
+
+    return res.status(200).json(success("Success", 200, { user: updatedUser }));
+  }
+
+  /**
+   * @route   DELETE /api/v1/admin/messages/:id
+   * @desc    Delete an abusive message of any chat
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async deleteMessage(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      reason: Joi.string().trim().max(500).allow(""),
+      reportId: Joi.string()
+        .label("Report ID")
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({ ...req.body, messageId: req.params.id });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const message = await Message.findOne({ _id: value.messageId, isDeleted: { $ne: true } });
+    if (!message) throw new AppError("Message is not found on database", 404);
+
+    const chat = await Chat.findById(message.chat);
+    if (!chat) throw new AppError("Chat is not found on database", 404);
+
+    const deletedMessage = await tombstoneMessage(message, chat, req.user._id);
+
+    // The content is kept on the audit log, so the decision can be reviewed later
+    await AuditLog.record(req, "message.delete", {
+      targetType: "message",
+      targetId: message._id,
+      meta: {
+        reason: value.reason,
+        reportId: value.reportId,
+        chat: message.chat,
+        sender: message.sender,
+        content: message.content,
+      },
+    });
+
+    return res
+      .status(200)
+      .json(success("Message deleted successfully", 200, { message: deletedMessage }));
+  }
+
+  /**
+   * @route   GET /api/v1/admin/reports
+   * @desc    List the reports of the users, filtered by status
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getReports(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      status: Joi.string().valid("open", "reviewed", "dismissed", "actioned"),
+      reportedUser: Joi.string()
+        .label("Reported User ID")
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(20),
+    });
+
+    // Validate request query with Joi schema
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const filter = {};
+    if (value.status) filter.status = value.status;
+    if (value.reportedUser) filter.reportedUser = value.reportedUser;
+
+    const [total, reports] = await Promise.all([
+      Report.countDocuments(filter),
+      Report.find(filter)
+        .populate({
+          path: "reporter reportedUser reviewedBy",
+          select: "username firstName lastName avatar",
+        })
+        .sort({ createdAt: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit),
+    ]);
+
+    await AuditLog.record(req, "report.list", { meta: req.query });
+
+    return res.status(200).json(
+      success("Success", 200, {
+        reports,
+        page: value.page,
+        limit: value.limit,
+        total,
+        hasMore: value.page * value.limit < total,
+      })
+    );
+  }
+
+  /**
+   * @route   GET /api/v1/admin/reports/:id
+   * @desc    Get the details of a report with its referenced messages
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getReport(req, res) {
+    // Define Joi schema for params validation
+    const schema = Joi.string()
+      .label("Report ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: reportId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const report = await Report.findById(reportId)
+      .populate({
+        path: "reporter reportedUser reviewedBy",
+        select: "username firstName lastName avatar email suspendedAt",
+      })
+      .populate({
+        path: "messages.chat",
+        select: "chatName isGroupChat",
+      });
+    if (!report) throw new AppError("Report is not found on database", 404);
+
+    await AuditLog.record(req, "report.view", { targetType: "report", targetId: reportId });
+
+    return res.status(200).json(success("Success", 200, { report }));
+  }
+
+  /**
+   * @route   PUT /api/v1/admin/reports/:id
+   * @desc    Review a report by updating its status with an optional note
+   * @access  Admin, Moderator
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async reviewReport(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      reportId: Joi.string()
+        .label("Report ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      status: Joi.string().valid("reviewed", "dismissed", "actioned").required(),
+      note: Joi.string().trim().max(1000).allow(""),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({ ...req.body, reportId: req.params.id });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const report = await Report.findByIdAndUpdate(
+      value.reportId,
+      {
+        status: value.status,
+        reviewNote: value.note,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+      },
+      { new: true }
+    );
+    if (!report) throw new AppError("Report is not found on database", 404);
+
+    await AuditLog.record(req, "report.review", {
+      targetType: "report",
+      targetId: report._id,
+      meta: { status: value.status, note: value.note },
+    });
+
+    return res.status(200).json(success("Success", 200, { report }));
+  }
+
+  /**
+   * @route   GET /api/v1/admin/audit-logs
+   * @desc    List the audit log of the admin actions, filtered by actor, action and target
+   * @access  Admin
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getAuditLogs(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      actor: Joi.string()
+        .label("Actor ID")
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      action: Joi.string().max(50),
+      targetId: Joi.string()
+        .label("Target ID")
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(50),
+    });
+
+    // Validate request query with Joi schema
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const filter = {};
+    if (value.actor) filter.actor = value.actor;
+    if (value.action) filter.action = value.action;
+    if (value.targetId) filter.targetId = value.targetId;
+
+    const [total, logs] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .populate({
+          path: "actor",
+          select: "username firstName lastName avatar role",
+        })
+        .sort({ createdAt: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit),
+    ]);
+
+    return res.status(200).json(
+      success("Success", 200, {
+        logs,
+        page: value.page,
+        limit: value.limit,
+        total,
+        hasMore: value.page * value.limit < total,
+      })
+    );
+  }
+}
+
+module.exports = AdminController;
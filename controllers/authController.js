@@ -1,18 +1,306 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const { promisify } = require("util");
 
 const Joi = require("joi");
 const bcrypt = require("bcrypt");
 const multer = require("multer");
 const jwt = require("jsonwebtoken");
+const debug = require("debug")("app:debug");
 
 const sendEmail = require("../utils/mail");
 const AppError = require("../utils/AppError");
 const { success } = require("../utils/apiResponse");
+const { hashToken, escapeHTML } = require("../utils");
+const totp = require("../utils/totp");
+const {
+  isOidcEnabled,
+  getOidcConfig,
+  createAuthorizationRequest,
+  getIdentity,
+} = require("../utils/oidc");
+const {
+  createSession,
+  rotateSession,
+  revokeSessions,
+} = require("../utils/sessions");
 
+const Session = require("../models/Session");
+const OidcState = require("../models/OidcState");
 const { User, validate } = require("../models/User");
 
+// Minimum time between two verification emails of the same user
+const VERIFICATION_EMAIL_THROTTLE = 60 * 1000; // 1 minute
+
+// Failed logins allowed before the account gets locked
+const MAX_LOGIN_ATTEMPTS = Number(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+
+// Duration of the first lock, doubled on every failed login after it
+const LOGIN_LOCKOUT_DURATION = (Number(process.env.LOGIN_LOCKOUT_SECONDS) || 60) * 1000;
+const MAX_LOGIN_LOCKOUT_DURATION = 24 * 60 * 60 * 1000; // 1 day
+
+const BACKUP_CODES_COUNT = 10;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Realtime Chat";
+
+// Generate new backup codes like "a1b2c-3d4e5", only their hashes are stored
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODES_COUNT }, () =>
+    crypto.randomBytes(5).toString("hex").replace(/^(.{5})/, "$1-")
+  );
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+// The backup codes are compared without their dashes, spaces and case
+function hashBackupCode(code) {
+  return hashToken(code.toLowerCase().replace(/[\s-]/g, ""));
+}
+
+// Avatar of the users provisioned by the identity provider, relative to the public directory
+const DEFAULT_AVATAR = "default-avatar.png";
+
+// Time the user has to complete a login on the identity provider
+const OIDC_LOGIN_EXPIRY = 10 * 60 * 1000; // 10 minutes
+
+// Generate an available username out of the preferred username or the email of the identity
+async function generateUsername(identity) {
+  const base = (identity.preferred_username || identity.email.split("@")[0])
+    .replace(/[^a-zA-Z0-9]/g, "")
+    .slice(0, 20);
+  const username = base.length >= 4 ? base : `user${base}`;
+
+  let candidate = username;
+  while (await User.exists({ username: candidate })) {
+    candidate = `${username}${crypto.randomInt(1000, 100000)}`;
+  }
+
+  return candidate;
+}
+
+// Find the user of the identity, link it to the user with the same verified email, or provision a new user
+async function findOrCreateOidcUser(identity, req, res, retried = false) {
+  const { issuer } = getOidcConfig();
+  const linkedIdentity = { issuer, subject: identity.sub };
+
+  const linkedUser = await User.findOne({ identities: { $elemMatch: linkedIdentity } });
+  if (linkedUser) return linkedUser;
+
+  // Linking and provisioning rely on the email, so the provider must have verified it
+  if (!identity.email || identity.email_verified !== true)
+    throw new AppError("Your email address is not verified by the identity provider", 403);
+
+  const email = identity.email.toLowerCase();
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    // A locked, suspended or reported account can't login, so the identity is not linked to it either
+    checkLoginGates(existingUser, res);
+
+    // Only one of the concurrent first logins links the identity, the others find it linked
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: existingUser._id, identities: { $not: { $elemMatch: linkedIdentity } } },
+      { $push: { identities: linkedIdentity }, isVerified: 1 },
+      { new: true }
+    );
+    if (!updatedUser) return User.findById(existingUser._id);
+
+    // The identity can login to the account from now on, so the owner is told about it
+    sendSecurityEmail(updatedUser, "account-linked", "New Login Method Linked To Your Account", {
+      provider: issuer,
+      ip: req.ip,
+      time: new Date().toUTCString(),
+    }).catch((err) => debug("Account linked email error:", err));
+
+    return updatedUser;
+  }
+
+  const [givenName, ...familyNames] = (identity.name || "").trim().split(/\s+/);
+  const username = await generateUsername(identity);
+  const firstName = identity.given_name || givenName || username;
+
+  // The user can set a password later with the forgot password option
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+  try {
+    return await User.create({
+      username,
+      firstName,
+      lastName: identity.family_name || familyNames.join(" ") || firstName,
+      email,
+      password,
+      isVerified: 1,
+      avatar: DEFAULT_AVATAR,
+      identities: [linkedIdentity],
+    });
+  } catch (error) {
+    // A concurrent first login took the username, the email or the identity, the retry finds
+    // the user it created (or picks another username)
+    if (error.code !== 11000 || retried) throw error;
+
+    return findOrCreateOidcUser(identity, req, res, true);
+  }
+}
+
+function generatePasswordResetToken(user) {
+  const secret = user._id + process.env.JWT_SECRET_KEY;
+  return jwt.sign({ email: user.email }, secret, { expiresIn: "15m" });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = generatePasswordResetToken(user);
+  const resetLink = `${process.env.FRONTEND_BASE_URL}/reset-password/${user._id}/${token}`;
+
+  const readFileAsync = promisify(fs.readFile);
+  const template = await readFileAsync(
+    "email-templates/reset-password.html",
+    "utf8"
+  );
+
+  const html = template
+    .replace("{{resetLink}}", resetLink)
+    .replace("{{userName}}", user.username);
+  await sendEmail(user.email, "Password Reset Request", html);
+}
+
+// Send a security alert with the "this wasn't me" link, the values are escaped before filling the template
+async function sendSecurityEmail(user, templateName, subject, values) {
+  const token = user.generateSecureAccountToken();
+  const secureLink = `${process.env.FRONTEND_BASE_URL}/secure-account/${token}`;
+
+  const readFileAsync = promisify(fs.readFile);
+  const template = await readFileAsync(
+    `email-templates/${templateName}.html`,
+    "utf8"
+  );
+
+  const html = Object.entries({ ...values, userName: user.username, secureLink }).reduce(
+    // A replacer function, so the "$" patterns of the values (e.g. of a crafted user agent) are not expanded
+    (html, [key, value]) => html.replace(`{{${key}}}`, () => escapeHTML(String(value))),
+    template
+  );
+  await sendEmail(user.email, subject, html);
+}
+
+// Count the failed login and lock the account once the attempts reach the limit
+async function registerFailedLogin(user, req) {
+  const { failedLoginAttempts: attempts } = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, timestamps: false }
+  );
+  if (attempts < MAX_LOGIN_ATTEMPTS) return;
+
+  const lockout = Math.min(
+    LOGIN_LOCKOUT_DURATION * 2 ** (attempts - MAX_LOGIN_ATTEMPTS),
+    MAX_LOGIN_LOCKOUT_DURATION
+  );
+  const lockedUntil = new Date(Date.now() + lockout);
+
+  await User.findByIdAndUpdate(user._id, { lockedUntil }, { timestamps: false });
+
+  // Only the first lock is emailed, the next ones are the longer locks of the same attempts
+  if (attempts === MAX_LOGIN_ATTEMPTS) {
+    sendSecurityEmail(user, "account-locked", "Your Account Is Temporarily Locked", {
+      attempts,
+      ip: req.ip,
+      lockedUntil: lockedUntil.toUTCString(),
+    }).catch((err) => debug("Account locked email error:", err));
+  }
+}
+
+// Reject the login with the remaining seconds if the account is locked
+function checkLoginLock(user, res) {
+  if (!user.isLocked()) return;
+
+  const retryAfter = Math.ceil((user.lockedUntil - Date.now()) / 1000);
+
+  res.set("Retry-After", retryAfter);
+  throw new AppError(
+    `Your account is temporarily locked because of too many failed login attempts, please try again after ${retryAfter} seconds`,
+    429
+  );
+}
+
+// Reject the login of a locked, suspended or reported account, once the user is authenticated
+function checkLoginGates(user, res) {
+  checkLoginLock(user, res);
+
+  if (user.isSuspended())
+    throw new AppError("Your account is suspended", 403);
+
+  if (user.passwordResetRequired)
+    throw new AppError("Your password must be reset before logging in, please use the forgot password option", 403);
+}
+
+// A login is unrecognized if its device or IP address is not used on any of the previous sessions
+async function isUnrecognizedLogin(user, req) {
+  const sessions = await Session.find({ user: user._id }).select("userAgent ip");
+
+  // There is nothing to compare with on the first login of the user
+  if (!sessions.length) return false;
+
+  const userAgent = req.get("user-agent") || "";
+
+  return (
+    !sessions.some((session) => session.userAgent === userAgent) ||
+    !sessions.some((session) => session.ip === req.ip)
+  );
+}
+
+// Reset the failed logins, start a new session and alert the user if the login is unrecognized
+async function completeLogin(user, req) {
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await User.findByIdAndUpdate(
+      user._id,
+      { failedLoginAttempts: 0, $unset: { lockedUntil: 1 } },
+      { timestamps: false }
+    );
+  }
+
+  const unrecognizedLogin = await isUnrecognizedLogin(user, req);
+
+  // Start a new session and generate its JWT access and refresh tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  // The login doesn't wait for the alert, and doesn't fail if it can't be sent
+  if (unrecognizedLogin) {
+    sendSecurityEmail(user, "new-login", "New Login To Your Account", {
+      device: req.get("user-agent") || "Unknown device",
+      ip: req.ip,
+      time: new Date().toUTCString(),
+    }).catch((err) => debug("New login email error:", err));
+  }
+
+  return { token, refreshToken };
+}
+
+// Check the password of the logged-in user, the user document of the request doesn't have it
+async function verifyUserPassword(userId, password) {
+  const user = await User.findById(userId).select("password");
+
+  const validPassword = user && (await bcrypt.compare(password, user.password));
+  if (!validPassword) throw new AppError("Password is incorrect", 400);
+}
+
+async function sendVerificationEmail(user) {
+  const token = user.generateEmailVerificationToken();
+  const verifyLink = `${process.env.FRONTEND_BASE_URL}/verify-email/${token}`;
+
+  const readFileAsync = promisify(fs.readFile);
+  const template = await readFileAsync(
+    "email-templates/verify-email.html",
+    "utf8"
+  );
+
+  const html = template
+    .replace("{{verifyLink}}", verifyLink)
+    .replace("{{userName}}", user.username);
+  await sendEmail(user.email, "Verify Your Email", html);
+
+  await User.findByIdAndUpdate(user._id, { verificationEmailSentAt: new Date() });
+}
+
 class AuthController {
   /**
    * @route   POST /api/v1/auth/login
@@ -44,14 +332,373 @@ class AuthController {
 
     // Validate user password
     const validPassword = await bcrypt.compare(value.password, user.password);
-    if (!validPassword) throw new AppError("Invalid email or password.", 400);
 
-    // Generate JWT token
-    const token = await user.generateAuthToken();
+    // A locked account gets the same response as the invalid credentials, so the lock doesn't reveal
+    // the registered emails (or the valid passwords), its owner is told about the lock by email
+    if (user.isLocked()) throw new AppError("Invalid email or password.", 400);
+
+    if (!validPassword) {
+      await registerFailedLogin(user, req);
+      throw new AppError("Invalid email or password.", 400);
+    }
+
+    if (user.isSuspended())
+      throw new AppError("Your account is suspended", 403);
+
+    if (user.passwordResetRequired)
+      throw new AppError("Your password must be reset before logging in, please use the forgot password option", 403);
+
+    // The session is only started once the two-factor code is verified
+    if (user.twoFactorEnabled) {
+      return res.status(200).json(
+        success("Two-factor authentication is required", 200, {
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallengeToken(),
+        })
+      );
+    }
+
+    const { token, refreshToken } = await completeLogin(user, req);
+
+    return res
+      .status(200)
+      .json(success("LoggedInn successfully", 200, { token, refreshToken }));
+  }
+
+  /**
+   * @route   POST /api/v1/auth/login/2fa
+   * @desc    Second step of the login with two-factor authentication, verify the TOTP or a backup code
+   *          with the challenge token of the first step and start a new session
+   * @access  Public
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async verifyTwoFactorLogin(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      challengeToken: Joi.string()
+        .label("Challenge Token")
+        .required()
+        .regex(/^[A-Za-z0-9-_=]+\.[A-Za-z0-9-_=]+\.?[A-Za-z0-9-_.+/=]*$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      code: Joi.string().trim().min(6).max(20).required().label("Code"),
+    });
+
+    // Validate request body with Joi schema
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    try {
+      var decoded = jwt.verify(value.challengeToken, process.env.JWT_SECRET_KEY);
+    } catch (error) {
+      throw new AppError("Your login has expired, please login again", 401);
+    }
+
+    if (decoded.purpose !== "2fa-challenge")
+      throw new AppError("Your login has expired, please login again", 401);
+
+    const user = await User.findById(decoded._id).select(
+      "+twoFactorSecret +twoFactorLastStep"
+    );
+    if (!user || !user.twoFactorEnabled)
+      throw new AppError("Your login has expired, please login again", 401);
+
+    // The account might have changed since the password step, so the same gates as the login run again
+    checkLoginGates(user, res);
+
+    let verified = false;
+
+    if (value.code.length === totp.DIGITS && /^\d+$/.test(value.code)) {
+      const step = totp.verifyCode(user.twoFactorSecret, value.code, user.twoFactorLastStep);
+
+      // The step is only saved if it is newer, so the same code can't be accepted twice
+      if (step !== null) {
+        const result = await User.updateOne(
+          { _id: user._id, twoFactorLastStep: user.twoFactorLastStep ?? null },
+          { twoFactorLastStep: step },
+          { timestamps: false }
+        );
+        verified = result.modifiedCount === 1;
+      }
+    } else {
+      // Every backup code can only be used once
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorBackupCodes: hashBackupCode(value.code) },
+        { $pull: { twoFactorBackupCodes: hashBackupCode(value.code) } },
+        { timestamps: false }
+      );
+      verified = result.modifiedCount === 1;
+    }
+
+    // The failed codes are counted with the failed passwords, so they can't be guessed either
+    if (!verified) {
+      await registerFailedLogin(user, req);
+      throw new AppError("Invalid authentication code", 400);
+    }
+
+    const { token, refreshToken } = await completeLogin(user, req);
+
+    return res
+      .status(200)
+      .json(success("LoggedInn successfully", 200, { token, refreshToken }));
+  }
+
+  /**
+   * @route   GET /api/v1/auth/oidc/authorize
+   * @desc    Start a login with the OpenID Connect identity provider (authorization code with PKCE),
+   *          returns the url to redirect the user to
+   * @access  Public
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getOidcAuthorizationUrl(req, res) {
+    if (!isOidcEnabled())
+      throw new AppError("Login with the identity provider is not enabled", 404);
+
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest();
+
+    await OidcState.create({
+      stateHash: hashToken(state),
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + OIDC_LOGIN_EXPIRY),
+    });
+
+    return res
+      .status(200)
+      .json(success("Success", 200, { authorizationUrl: url }));
+  }
+
+  /**
+   * @route   POST /api/v1/auth/oidc/callback
+   * @desc    Complete the login with the code and the state returned by the identity provider, the user is
+   *          linked by the verified email or provisioned on the first login, then a new session is started
+   * @access  Public
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async oidcCallback(req, res) {
+    if (!isOidcEnabled())
+      throw new AppError("Login with the identity provider is not enabled", 404);
+
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      code: Joi.string().max(2048).required().label("Code"),
+      state: Joi.string().max(256).required().label("State"),
+    });
+
+    // Validate request body with Joi schema
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // The state can only be used once, so the same login can't be completed twice
+    const login = await OidcState.findOneAndDelete({ stateHash: hashToken(value.state) });
+    if (!login || login.expiresAt <= new Date())
+      throw new AppError("Your login has expired, please try again", 401);
+
+    const identity = await getIdentity(value.code, login);
+    const user = await findOrCreateOidcUser(identity, req, res);
+
+    // The identity provider doesn't bypass the lock of the failed logins, nor a reported login
+    checkLoginGates(user, res);
+
+    if (user.twoFactorEnabled) {
+      return res.status(200).json(
+        success("Two-factor authentication is required", 200, {
+          twoFactorRequired: true,
+          challengeToken: user.generateTwoFactorChallengeToken(),
+        })
+      );
+    }
+
+    const { token, refreshToken } = await completeLogin(user, req);
+
+    return res
+      .status(200)
+      .json(success("LoggedInn successfully", 200, { token, refreshToken }));
+  }
+
+  /**
+   * @route   POST /api/v1/auth/2fa/setup
+   * @desc    Start the two-factor authentication enrollment, returns a new secret with its provisioning URI
+   *          (for the QR code of the authenticator app), it is enabled once confirmed with a code
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async setupTwoFactor(req, res) {
+    if (req.user.twoFactorEnabled)
+      throw new AppError("Two-factor authentication is already enabled", 400);
+
+    const secret = totp.generateSecret();
+
+    await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret });
+
+    return res.status(200).json(
+      success("Success", 200, {
+        secret,
+        provisioningUri: totp.getProvisioningURI(secret, req.user.email, TOTP_ISSUER),
+      })
+    );
+  }
+
+  /**
+   * @route   POST /api/v1/auth/2fa/confirm
+   * @desc    Confirm the enrollment with a code of the authenticator app, enables the two-factor authentication
+   *          and returns the backup codes (they are only shown once)
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async confirmTwoFactor(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      code: Joi.string()
+        .trim()
+        .length(totp.DIGITS)
+        .pattern(/^\d+$/)
+        .required()
+        .label("Code"),
+    });
+
+    // Validate request body with Joi schema
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+
+    if (user.twoFactorEnabled)
+      throw new AppError("Two-factor authentication is already enabled", 400);
+
+    if (!user.twoFactorPendingSecret)
+      throw new AppError("Two-factor authentication setup is not started", 400);
+
+    const step = totp.verifyCode(user.twoFactorPendingSecret, value.code);
+    if (step === null) throw new AppError("Invalid authentication code", 400);
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await User.findByIdAndUpdate(user._id, {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorBackupCodes: hashes,
+      twoFactorLastStep: step,
+      $unset: { twoFactorPendingSecret: 1 },
+    });
+
+    return res.status(200).json(
+      success("Two-factor authentication enabled successfully", 200, {
+        backupCodes: codes,
+      })
+    );
+  }
+
+  /**
+   * @route   POST /api/v1/auth/2fa/disable
+   * @desc    Disable the two-factor authentication of the logged-in user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async disableTwoFactor(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      password: Joi.string().min(8).max(1024).required(),
+    });
+
+    // Validate request body with Joi schema
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    if (!req.user.twoFactorEnabled)
+      throw new AppError("Two-factor authentication is not enabled", 400);
+
+    await verifyUserPassword(req.user._id, value.password);
+
+    await User.findByIdAndUpdate(req.user._id, {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorBackupCodes: 1,
+        twoFactorLastStep: 1,
+      },
+    });
 
     return res
       .status(200)
-      .json(success("LoggedInn successfully", 200, { token }));
+      .json(success("Two-factor authentication disabled successfully", 200));
+  }
+
+  /**
+   * @route   POST /api/v1/auth/2fa/backup-codes
+   * @desc    Replace the backup codes of the logged-in user with new ones
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async regenerateBackupCodes(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      password: Joi.string().min(8).max(1024).required(),
+    });
+
+    // Validate request body with Joi schema
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    if (!req.user.twoFactorEnabled)
+      throw new AppError("Two-factor authentication is not enabled", 400);
+
+    await verifyUserPassword(req.user._id, value.password);
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await User.findByIdAndUpdate(req.user._id, { twoFactorBackupCodes: hashes });
+
+    return res.status(200).json(
+      success("Backup codes regenerated successfully", 200, {
+        backupCodes: codes,
+      })
+    );
   }
 
   /**
@@ -170,6 +817,13 @@ class AuthController {
         user.password = await bcrypt.hash(user.password, salt);
         await user.save();
 
+        // The user is still created if the email fails, it can be sent again later
+        try {
+          await sendVerificationEmail(user);
+        } catch (err) {
+          debug("Verification Email Error Occured! ", err);
+        }
+
         return res.status(200).json(success("User created successfully", 200));
       } catch (err) {
         return next(err);
@@ -204,20 +858,7 @@ class AuthController {
     if (!user)
       throw new AppError("The User with this email is not registered!", 400);
 
-    const secret = user._id + process.env.JWT_SECRET_KEY;
-    const token = jwt.sign({ email: user.email }, secret, { expiresIn: "15m" });
-    const resetLink = `${process.env.FRONTEND_BASE_URL}/reset-password/${user._id}/${token}`;
-
-    const readFileAsync = promisify(fs.readFile);
-    const template = await readFileAsync(
-      "email-templates/reset-password.html",
-      "utf8"
-    );
-
-    const html = template
-      .replace("{{resetLink}}", resetLink)
-      .replace("{{userName}}", user.username);
-    await sendEmail(user.email, "Password Reset Request", html);
+    await sendPasswordResetEmail(user);
 
     return res
       .status(200)
@@ -276,6 +917,10 @@ class AuthController {
       throw new AppError("Your Password Reset Link is Invalid", 400);
     }
 
+    // The email verification links share the secret of the user, but they are not password reset links
+    if (decoded.purpose)
+      throw new AppError("Your Password Reset Link is Invalid", 400);
+
     // Check if the token has expired
     if (decoded.exp <= Date.now() / 1000)
       throw new AppError("Your Password Reset Link is Expired", 400);
@@ -287,16 +932,347 @@ class AuthController {
     // update new hashed password in database
     const updatedUser = await User.findByIdAndUpdate(
       value.id,
-      { password: newHashedPassword },
+      {
+        password: newHashedPassword,
+        passwordResetRequired: false,
+        failedLoginAttempts: 0,
+        $unset: { lockedUntil: 1 },
+      },
       { new: true }
     );
     if (!updatedUser)
       throw new AppError("Unable to Reset Account Password!", 400);
 
+    // Log out from all the devices with the old password
+    await revokeSessions({ user: updatedUser._id });
+
     return res
       .status(200)
       .json(success("Account Password Reset Successfully", 200));
   }
+
+  /**
+   * @route   GET|POST /api/v1/auth/verify-email
+   * @desc    Verify the email of a user with the token sent on the verification email
+   * @access  Public
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async verifyEmail(req, res) {
+    // Define Joi schema for input validation
+    const schema = Joi.string()
+      .label("Token")
+      .required()
+      .regex(/^[A-Za-z0-9-_=]+\.[A-Za-z0-9-_=]+\.?[A-Za-z0-9-_.+/=]*$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate the token of the request body or query with Joi schema
+    const { error, value: token } = schema.validate(
+      req.body?.token || req.query.token
+    );
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // The token is signed with the secret of the user, so the user is found by its email before the verification
+    const email = jwt.decode(token)?.email;
+    if (typeof email !== "string")
+      throw new AppError("Your Email Verification Link is Invalid or Expired", 400);
+
+    // Retrieve the user from the database
+    const user = await User.findOne({ email });
+    if (!user)
+      throw new AppError("Your Email Verification Link is Invalid or Expired", 400);
+
+    try {
+      var decoded = jwt.verify(token, user._id + process.env.JWT_SECRET_KEY);
+    } catch (error) {
+      throw new AppError("Your Email Verification Link is Invalid or Expired", 400);
+    }
+
+    if (decoded.purpose !== "verify-email")
+      throw new AppError("Your Email Verification Link is Invalid or Expired", 400);
+
+    if (user.isVerified) {
+      return res.status(200).json(success("Email is already verified", 200));
+    }
+
+    await User.findByIdAndUpdate(user._id, { isVerified: 1 });
+
+    return res.status(200).json(success("Email Verified Successfully", 200));
+  }
+
+  /**
+   * @route   GET|POST /api/v1/auth/secure-account
+   * @desc    Handle the single-use "this wasn't me" link of the security emails, logout all the sessions
+   *          of the user, require a password reset before the next login and email the password reset link
+   * @access  Public
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async secureAccount(req, res) {
+    // Define Joi schema for input validation
+    const schema = Joi.string()
+      .label("Token")
+      .required()
+      .regex(/^[A-Za-z0-9-_=]+\.[A-Za-z0-9-_=]+\.?[A-Za-z0-9-_.+/=]*$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate the token of the request body or query with Joi schema
+    const { error, value: token } = schema.validate(
+      req.body?.token || req.query.token
+    );
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // The token is signed with the secret of the user, so the user is found by its email before the verification
+    const email = jwt.decode(token)?.email;
+    if (typeof email !== "string")
+      throw new AppError("Your Secure Account Link is Invalid or Expired", 400);
+
+    // Retrieve the user from the database
+    const user = await User.findOne({ email });
+    if (!user) throw new AppError("Your Secure Account Link is Invalid or Expired", 400);
+
+    try {
+      var decoded = jwt.verify(token, user.getSecureAccountSecret());
+    } catch (error) {
+      throw new AppError("Your Secure Account Link is Invalid or Expired", 400);
+    }
+
+    if (decoded.purpose !== "secure-account")
+      throw new AppError("Your Secure Account Link is Invalid or Expired", 400);
+
+    // Using the link changes the secret of the links, only one of the concurrent requests gets to update it
+    const securedUser = await User.findOneAndUpdate(
+      { _id: user._id, secureAccountUsedAt: user.secureAccountUsedAt || null },
+      { secureAccountUsedAt: new Date(), passwordResetRequired: true },
+      { new: true }
+    );
+    if (!securedUser) throw new AppError("Your Secure Account Link is Invalid or Expired", 400);
+
+    // Logout from all the devices, including the one which is not of the user
+    const revokedSessions = await revokeSessions({ user: user._id });
+
+    // The password is reset with the usual forgot password email, the link itself never grants access
+    await sendPasswordResetEmail(securedUser);
+
+    return res.status(200).json(
+      success("Your account is secured, please check your inbox to reset your password", 200, {
+        revokedSessions,
+      })
+    );
+  }
+
+  /**
+   * @route   POST /api/v1/auth/resend-verification
+   * @desc    Send the verification email again to the logged-in user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async resendVerificationEmail(req, res) {
+    // Retrieve the user from the database
+    const user = await User.findById(req.user._id);
+    if (!user) throw new AppError("User does not exist", 400);
+
+    if (user.isVerified) throw new AppError("Email is already verified", 400);
+
+    // Throttle the verification emails of the same user
+    const elapsed = Date.now() - (user.verificationEmailSentAt?.getTime() || 0);
+    if (elapsed < VERIFICATION_EMAIL_THROTTLE) {
+      const retryAfter = Math.ceil((VERIFICATION_EMAIL_THROTTLE - elapsed) / 1000);
+
+      res.set("Retry-After", retryAfter);
+      throw new AppError(
+        `Please wait ${retryAfter} seconds before requesting another verification email`,
+        429
+      );
+    }
+
+    await sendVerificationEmail(user);
+
+    return res
+      .status(200)
+      .json(
+        success(
+          "Verification Email Send Successfully. please check your inbox!",
+          200
+        )
+      );
+  }
+
+  /**
+   * @route   POST /api/v1/auth/refresh
+   * @desc    Issue a new access token and rotate the refresh token of the session
+   * @access  Public
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async refreshToken(req, res) {
+    // Define Joi schema for input validation
+    const schema = Joi.object({
+      refreshToken: Joi.string()
+        .label("Refresh Token")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}\.[0-9a-fA-F]{96}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+    });
+
+    // Validate request body with Joi schema
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const sessionId = value.refreshToken.split(".")[0];
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive())
+      throw new AppError("Unauthorized: Session has been revoked", 401);
+
+    // A refresh token which was already rotated is being reused, so it might be stolen
+    if (session.refreshTokenHash !== hashToken(value.refreshToken)) {
+      await revokeSessions({ _id: session._id });
+      throw new AppError("Unauthorized: Session has been revoked", 401);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) throw new AppError("Unauthorized: User Not Found", 401);
+
+    if (user.isSuspended())
+      throw new AppError("Forbidden: Your account is suspended", 403);
+
+    // Another request rotated the same refresh token first, so it is reused as well
+    const rotated = await rotateSession(session, user, req);
+    if (!rotated) {
+      await revokeSessions({ _id: session._id });
+      throw new AppError("Unauthorized: Session has been revoked", 401);
+    }
+
+    const { token, refreshToken } = rotated;
+
+    return res
+      .status(200)
+      .json(success("Token refreshed successfully", 200, { token, refreshToken }));
+  }
+
+  /**
+   * @route   POST /api/v1/auth/logout
+   * @desc    Logout the current session of the user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async logoutUser(req, res) {
+    await revokeSessions({ _id: req.session._id });
+
+    return res.status(200).json(success("Logged out successfully", 200));
+  }
+
+  /**
+   * @route   POST /api/v1/auth/logout-all
+   * @desc    Logout all the sessions of the user on every device
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async logoutAllSessions(req, res) {
+    await revokeSessions({ user: req.user._id });
+
+    return res
+      .status(200)
+      .json(success("Logged out from all the devices successfully", 200));
+  }
+
+  /**
+   * @route   GET /api/v1/auth/sessions
+   * @desc    Get all the active sessions of the user with their device and IP
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getActiveSessions(req, res) {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    const result = sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.session._id.toString(),
+    }));
+
+    return res.status(200).json(success("Success", 200, { sessions: result }));
+  }
+
+  /**
+   * @route   DELETE /api/v1/auth/sessions/:id
+   * @desc    Revoke one of the sessions of the user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async revokeSession(req, res) {
+    // Define Joi schema for params validation
+    const schema = Joi.string()
+      .label("Session ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: sessionId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const revoked = await revokeSessions({ _id: sessionId, user: req.user._id });
+    if (!revoked) throw new AppError("Session is not found on database", 404);
+
+    return res.status(200).json(success("Session revoked successfully", 200));
+  }
 }
 
 module.exports = AuthController;
@@ -1,11 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
 const Joi = require('joi');
+const multer = require('multer');
 
 const Chat = require("../models/Chat");
-const { User } = require("../models/User");
+const Message = require("../models/Message");
+const UserBlock = require("../models/UserBlock");
+const ChatSetting = require("../models/ChatSetting");
+const GroupInvite = require("../models/GroupInvite");
+const { User, PUBLIC_USER_FIELDS } = require("../models/User");
 
 const AppError = require("../utils/AppError");
+const { hashToken } = require('../utils');
 const { success } = require('../utils/apiResponse');
+const { removeAttachmentFiles } = require('../utils/attachments');
+const { createSystemMessage, displayName, joinNames } = require('../utils/systemMessages');
+const { emitToUsers, emitToChatMembers, removeUsersFromChatRoom } = require('../utils/socket');
+
+// Default icon of the groups, it is never removed from the disk
+const DEFAULT_GROUP_ICON = "group-icon.png";
+
+// Remove the group with all of its messages and attachments, and notify all of its members
+async function removeGroup(chat) {
+    const messages = await Message.find({ chat: chat._id, "attachments.0": { $exists: true } })
+        .select("attachments");
+
+    await removeAttachmentFiles(messages.flatMap((message) => message.attachments));
 
+    if (chat.groupIcon && chat.groupIcon !== DEFAULT_GROUP_ICON) {
+        await fs.promises.unlink(path.join("public", chat.groupIcon)).catch(() => {});
+    }
+
+    await Message.deleteMany({ chat: chat._id });
+    await GroupInvite.deleteMany({ chat: chat._id });
+    await ChatSetting.deleteMany({ chat: chat._id });
+    await Chat.deleteOne({ _id: chat._id });
+
+    const members = [...chat.users, ...chat.groupAdmins];
+
+    removeUsersFromChatRoom(members, chat._id);
+    emitToUsers(members, 'deleteGroupChat', chat._id.toString());
+}
 
 class ChatController {
     /**
@@ -63,7 +100,7 @@ class ChatController {
         })
             .populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "latestMessage",
@@ -77,6 +114,11 @@ class ChatController {
             return res.status(200).json(success("Success", 200, { chat: chat[0] }));
         }
         else {
+            // A new chat can't be started if any of the users blocked the other one
+            if (await UserBlock.isBlockedBetween(req.user._id, userId)) {
+                throw new AppError("Unable to create chat with this user", 403);
+            }
+
             const createdChat = await Chat.create({
                 chatName: "sender",
                 isGroupChat: false,
@@ -85,7 +127,7 @@ class ChatController {
 
             const completeChat = await Chat.findOne({ _id: createdChat._id }).populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             });
 
             return res.status(200).json(success("Success", 200, { chat: completeChat }));
@@ -94,7 +136,8 @@ class ChatController {
 
     /**
      * @route   GET /api/v1/chats
-     * @desc    get all the chats related to the current user
+     * @desc    get all the chats related to the current user with their personal settings,
+     *          pinned chats first and the archived chats only with ?archived=true
      * @access  Protected
      *
      * @param   {Object} req - Express request object.
@@ -104,6 +147,17 @@ class ChatController {
     */
 
     static async getAllChats(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.object({
+            archived: Joi.boolean().default(false),
+        });
+
+        // Validate request query with Joi schema
+        const { error, value } = schema.validate(req.query);
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
         const chats = await Chat.aggregate([
             {
                 $match: {
@@ -121,12 +175,56 @@ class ChatController {
                     ]
                 }
             },
+            {
+                $lookup: {
+                    from: "chat_settings",
+                    foreignField: "chat",
+                    localField: "_id",
+                    as: "settings",
+                    pipeline: [
+                        {
+                            $match: { user: req.user._id }
+                        },
+                        {
+                            $project: { _id: 0, mutedUntil: 1, archived: 1, pinnedAt: 1 }
+                        }
+                    ]
+                }
+            },
+            {
+                $set: {
+                    "settings": {
+                        $ifNull: [
+                            { $first: "$settings" },
+                            { mutedUntil: null, archived: false, pinnedAt: null }
+                        ]
+                    },
+                }
+            },
+            {
+                $match: {
+                    "settings.archived": value.archived ? true : { $ne: true }
+                }
+            },
+            // The aggregation doesn't know the hidden fields of the schema, so only the public fields of the members are looked up
             {
                 $lookup: {
                     from: "users",
                     foreignField: "_id",
                     localField: "users",
-                    as: "users"
+                    as: "users",
+                    pipeline: [
+                        {
+                            $project: {
+                                "username": 1,
+                                "firstName": 1,
+                                "lastName": 1,
+                                "avatar": 1,
+                                "email": 1,
+                                "lastSeen": 1
+                            }
+                        }
+                    ]
                 }
             },
             {
@@ -134,7 +232,19 @@ class ChatController {
                     from: "users",
                     foreignField: "_id",
                     localField: "groupAdmins",
-                    as: "groupAdmins"
+                    as: "groupAdmins",
+                    pipeline: [
+                        {
+                            $project: {
+                                "username": 1,
+                                "firstName": 1,
+                                "lastName": 1,
+                                "avatar": 1,
+                                "email": 1,
+                                "lastSeen": 1
+                            }
+                        }
+                    ]
                 }
             },
             {
@@ -184,6 +294,8 @@ class ChatController {
                     pipeline: [
                         {
                             $match: {
+                                isDeleted: { $ne: true },
+                                type: { $ne: "system" },
                                 $and: [
                                     {
                                         $expr: { $ne: ["$sender", req.user._id] }
@@ -208,13 +320,18 @@ class ChatController {
             },
             {
                 $project: {
-                    "users.password": 0,
-                    "groupAdmins.password": 0,
                     "messages": 0
                 }
             },
+            {
+                $addFields: {
+                    isPinned: { $ne: [{ $ifNull: ["$settings.pinnedAt", null] }, null] }
+                }
+            },
             {
                 $sort: {
+                    isPinned: -1,
+                    "settings.pinnedAt": -1,
                     updatedAt: -1
                 }
             }
@@ -278,15 +395,23 @@ class ChatController {
             users: [...value.users],
         });
 
+        await createSystemMessage(
+            groupChat,
+            req.user,
+            "group_created",
+            `${displayName(req.user)} created the group "${value.chatName}"`,
+            { meta: { chatName: value.chatName } }
+        );
+
         const fullGroupChat = await Chat
             .findOne({ _id: groupChat._id })
             .populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "groupAdmins",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "latestMessage",
@@ -296,6 +421,8 @@ class ChatController {
                 }
             })
 
+        emitToChatMembers(fullGroupChat, 'joinGroupChat', fullGroupChat, req.user._id);
+
         return res.status(200).json(success("Success", 200, { chat: fullGroupChat }));
     }
 
@@ -339,11 +466,11 @@ class ChatController {
         )
             .populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "groupAdmins",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "latestMessage",
@@ -353,6 +480,16 @@ class ChatController {
                 }
             })
 
+        updatedChat.latestMessage = await createSystemMessage(
+            updatedChat,
+            req.user,
+            "group_renamed",
+            `${displayName(req.user)} renamed the group to "${value.chatName}"`,
+            { meta: { chatName: value.chatName, previousChatName: checkId.chatName } }
+        );
+
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
         return res.status(200).json(success("Success", 200, { chat: updatedChat }));
     }
 
@@ -424,11 +561,11 @@ class ChatController {
         )
             .populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "groupAdmins",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "latestMessage",
@@ -438,6 +575,17 @@ class ChatController {
                 }
             })
 
+        updatedChat.latestMessage = await createSystemMessage(
+            updatedChat,
+            req.user,
+            "member_added",
+            `${displayName(req.user)} added ${displayName(checkUserId)}`,
+            { users: [checkUserId._id] }
+        );
+
+        emitToUsers([checkUserId._id], 'joinGroupChat', updatedChat);
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
         return res.status(200).json(success("Success", 200, { chat: updatedChat }));
     }
 
@@ -495,11 +643,11 @@ class ChatController {
         )
             .populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "groupAdmins",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "latestMessage",
@@ -509,6 +657,43 @@ class ChatController {
                 }
             })
 
+        const previousUsers = checkChatId.users.map((user) => user.toString());
+
+        const addedUsers = await User.find({
+            _id: { $in: value.users.filter((userId) => !previousUsers.includes(userId)) }
+        }).select("username");
+
+        const removedUsers = await User.find({
+            _id: { $in: previousUsers.filter((userId) => !value.users.includes(userId)) }
+        }).select("username");
+
+        if (addedUsers.length) {
+            updatedChat.latestMessage = await createSystemMessage(
+                updatedChat,
+                req.user,
+                "member_added",
+                `${displayName(req.user)} added ${joinNames(addedUsers)}`,
+                { users: addedUsers }
+            );
+        }
+
+        if (removedUsers.length) {
+            updatedChat.latestMessage = await createSystemMessage(
+                updatedChat,
+                req.user,
+                "member_removed",
+                `${displayName(req.user)} removed ${joinNames(removedUsers)}`,
+                { users: removedUsers }
+            );
+        }
+
+        const removedUserIds = removedUsers.map((user) => user._id);
+        removeUsersFromChatRoom(removedUserIds, value.chatId);
+        emitToUsers(removedUserIds, 'deleteGroupChat', value.chatId);
+
+        emitToUsers(addedUsers.map((user) => user._id), 'joinGroupChat', updatedChat);
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
         return res.status(200).json(success("Success", 200, { chat: updatedChat }));
     }
 
@@ -566,11 +751,11 @@ class ChatController {
         )
             .populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "groupAdmins",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "latestMessage",
@@ -580,6 +765,74 @@ class ChatController {
                 }
             });
 
+        const previousUsers = checkChatId.users.map((user) => user.toString());
+
+        const addedUsers = await User.find({
+            _id: { $in: value.users.filter((userId) => !previousUsers.includes(userId)) }
+        }).select("username");
+
+        const removedUsers = await User.find({
+            _id: { $in: previousUsers.filter((userId) => !value.users.includes(userId)) }
+        }).select("username");
+
+        if (addedUsers.length) {
+            updatedChat.latestMessage = await createSystemMessage(
+                updatedChat,
+                req.user,
+                "member_added",
+                `${displayName(req.user)} added ${joinNames(addedUsers)}`,
+                { users: addedUsers }
+            );
+        }
+
+        if (removedUsers.length) {
+            updatedChat.latestMessage = await createSystemMessage(
+                updatedChat,
+                req.user,
+                "member_removed",
+                `${displayName(req.user)} removed ${joinNames(removedUsers)}`,
+                { users: removedUsers }
+            );
+        }
+
+        // The inputted users are the new admins of the group
+        const previousAdmins = checkChatId.groupAdmins.map((user) => user.toString());
+
+        const addedAdmins = await User.find({
+            _id: { $in: value.users.filter((userId) => !previousAdmins.includes(userId)) }
+        }).select("username");
+
+        const removedAdmins = await User.find({
+            _id: { $in: previousAdmins.filter((userId) => !value.users.includes(userId)) }
+        }).select("username");
+
+        if (addedAdmins.length) {
+            updatedChat.latestMessage = await createSystemMessage(
+                updatedChat,
+                req.user,
+                "admin_added",
+                `${displayName(req.user)} made ${joinNames(addedAdmins)} ${addedAdmins.length > 1 ? "admins" : "an admin"}`,
+                { users: addedAdmins }
+            );
+        }
+
+        if (removedAdmins.length) {
+            updatedChat.latestMessage = await createSystemMessage(
+                updatedChat,
+                req.user,
+                "admin_removed",
+                `${displayName(req.user)} removed ${joinNames(removedAdmins)} as ${removedAdmins.length > 1 ? "admins" : "admin"}`,
+                { users: removedAdmins }
+            );
+        }
+
+        const removedUserIds = removedUsers.map((user) => user._id);
+        removeUsersFromChatRoom(removedUserIds, value.chatId);
+        emitToUsers(removedUserIds, 'deleteGroupChat', value.chatId);
+
+        emitToUsers(addedUsers.map((user) => user._id), 'joinGroupChat', updatedChat);
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
         return res.status(200).json(success("Success", 200, { chat: updatedChat }));
     }
 
@@ -654,11 +907,11 @@ class ChatController {
         )
             .populate({
                 path: "users",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "groupAdmins",
-                select: "-password",
+                select: PUBLIC_USER_FIELDS,
             })
             .populate({
                 path: "latestMessage",
@@ -668,8 +921,722 @@ class ChatController {
                 }
             })
 
+        const isLeaving = value.userId === req.user._id.toString();
+
+        updatedChat.latestMessage = await createSystemMessage(
+            updatedChat,
+            req.user,
+            isLeaving ? "member_left" : "member_removed",
+            isLeaving
+                ? `${displayName(req.user)} left the group`
+                : `${displayName(req.user)} removed ${displayName(checkUserId)}`,
+            { users: [checkUserId._id] }
+        );
+
+        removeUsersFromChatRoom([checkUserId._id], value.chatId);
+        emitToUsers([checkUserId._id], 'deleteGroupChat', value.chatId);
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
         return res.status(200).json(success("Success", 200, { chat: updatedChat }));
     }
+
+
+    /**
+     * @route   POST /api/v1/chats/group/:id/leave
+     * @desc    Leave the group, when the last admin leaves the inputted newAdminId
+     *          (or the oldest member) becomes the admin of the group
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async leaveGroup(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.object({
+            chatId: Joi.string()
+                .label('Chat ID')
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .rule({ message: '{{#label}} is Invalid!' }),
+
+            newAdminId: Joi.string()
+                .label('New Admin ID')
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .rule({ message: '{{#label}} is Invalid!' }),
+        });
+
+        // Validate request param and body with Joi schema
+        const { error, value } = schema.validate({
+            chatId: req.params.id,
+            newAdminId: req.body.newAdminId,
+        });
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        // Check if chat Id already exists in database or not
+        let checkChatId = await Chat.findOne({ _id: value.chatId, isGroupChat: true });
+        if (!checkChatId) throw new AppError("chatId is not found on database", 404);
+
+        const userId = req.user._id.toString();
+
+        const isAdmin = checkChatId.groupAdmins.some((user) => user.toString() === userId);
+        const isMember = checkChatId.users.some((user) => user.toString() === userId);
+        if (!isAdmin && !isMember) throw new AppError("This User is not attached with this chat", 404);
+
+        const remainingAdmins = checkChatId.groupAdmins.filter((user) => user.toString() !== userId);
+        const remainingUsers = checkChatId.users.filter((user) => user.toString() !== userId);
+
+        // Nobody is left on the group, so there is nothing to keep
+        if (!remainingAdmins.length && !remainingUsers.length) {
+            await removeGroup(checkChatId);
+
+            return res.status(200).json(success("Group left and deleted successfully", 200));
+        }
+
+        // The group always needs an admin, so the ownership is transferred when the last admin leaves
+        let newAdmin = null;
+        if (!remainingAdmins.length) {
+            const newAdminId = value.newAdminId || remainingUsers[0].toString();
+
+            if (!remainingUsers.some((user) => user.toString() === newAdminId)) {
+                throw new AppError("New admin must be a member of the group", 400);
+            }
+
+            newAdmin = await User.findById(newAdminId);
+            if (!newAdmin) throw new AppError("New admin is not found on database", 404);
+        }
+
+        await Chat.findByIdAndUpdate(value.chatId, {
+            $pull: { users: req.user._id, groupAdmins: req.user._id },
+        });
+
+        if (newAdmin) {
+            await Chat.findByIdAndUpdate(value.chatId, { $pull: { users: newAdmin._id } });
+            await Chat.findByIdAndUpdate(value.chatId, { $push: { groupAdmins: newAdmin._id } });
+        }
+
+        const remainingChat = await Chat.findById(value.chatId);
+
+        await createSystemMessage(
+            remainingChat,
+            req.user,
+            "member_left",
+            `${displayName(req.user)} left the group`,
+            { users: [req.user._id] }
+        );
+
+        if (newAdmin) {
+            await createSystemMessage(
+                remainingChat,
+                req.user,
+                "admin_added",
+                `${displayName(newAdmin)} is now an admin`,
+                { users: [newAdmin._id] }
+            );
+        }
+
+        const updatedChat = await Chat.findById(value.chatId)
+            .populate({
+                path: "users",
+                select: PUBLIC_USER_FIELDS,
+            })
+            .populate({
+                path: "groupAdmins",
+                select: PUBLIC_USER_FIELDS,
+            })
+            .populate({
+                path: "latestMessage",
+                populate: {
+                    path: "sender",
+                    select: "username firstName lastName avatar",
+                }
+            });
+
+        // The other devices of the user remove the chat, the remaining members get the updated chat
+        removeUsersFromChatRoom([req.user._id], value.chatId);
+        emitToUsers([req.user._id], 'deleteGroupChat', value.chatId);
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat);
+
+        return res.status(200).json(success("Group left successfully", 200, { chat: updatedChat }));
+    }
+
+
+    /**
+     * @route   DELETE /api/v1/chats/group/:id
+     * @desc    Delete the group with all of its messages, only allowed for the admins
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async deleteGroup(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.string()
+            .label('Chat ID')
+            .required()
+            .regex(/^[0-9a-fA-F]{24}$/)
+            .rule({ message: '{{#label}} is Invalid!' });
+
+        // Validate request param with Joi schema
+        const { error, value: chatId } = schema.validate(req.params.id);
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        // Check if chat Id already exists in database or not
+        let checkChatId = await Chat.findOne({ _id: chatId, isGroupChat: true });
+        if (!checkChatId) throw new AppError("chatId is not found on database", 404);
+
+        if (!checkChatId.groupAdmins.some((user) => user.toString() === req.user._id.toString())) {
+            throw new AppError("Admin can only delete the Group!", 403);
+        }
+
+        await removeGroup(checkChatId);
+
+        return res.status(200).json(success("Group deleted successfully", 200));
+    }
+
+
+    /**
+     * @route   POST /api/v1/chats/group/:id/invites
+     * @desc    Create a shareable invite link of the group with an optional expiry and max uses, only allowed for the admins
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async createGroupInvite(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.object({
+            chatId: Joi.string()
+                .label('Chat ID')
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .rule({ message: '{{#label}} is Invalid!' }),
+
+            expiresInHours: Joi.number().integer().min(1).max(24 * 30),
+            maxUses: Joi.number().integer().min(1).max(1000),
+        });
+
+        // Validate request param and body with Joi schema
+        const { error, value } = schema.validate({
+            chatId: req.params.id,
+            expiresInHours: req.body.expiresInHours,
+            maxUses: req.body.maxUses,
+        });
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        // Check if chat Id already exists in database or not
+        let checkChatId = await Chat.findOne({ _id: value.chatId, isGroupChat: true });
+        if (!checkChatId) throw new AppError("chatId is not found on database", 404);
+
+        if (!checkChatId.groupAdmins.some((user) => user.toString() === req.user._id.toString())) {
+            throw new AppError("Admin can only create the invite links of the Group!", 403);
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+
+        const invite = await GroupInvite.create({
+            chat: checkChatId._id,
+            createdBy: req.user._id,
+            tokenHash: hashToken(token),
+            expiresAt: value.expiresInHours && new Date(Date.now() + value.expiresInHours * 60 * 60 * 1000),
+            maxUses: value.maxUses,
+        });
+
+        // The token is only returned once, just its hash is stored
+        const link = `${process.env.FRONTEND_BASE_URL}/join/${token}`;
+
+        return res.status(200).json(success("Success", 200, { invite, token, link }));
+    }
+
+
+    /**
+     * @route   GET /api/v1/chats/group/:id/invites
+     * @desc    Get all the active invite links of the group, only allowed for the admins
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async getGroupInvites(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.string()
+            .label('Chat ID')
+            .required()
+            .regex(/^[0-9a-fA-F]{24}$/)
+            .rule({ message: '{{#label}} is Invalid!' });
+
+        // Validate request param with Joi schema
+        const { error, value: chatId } = schema.validate(req.params.id);
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        // Check if chat Id already exists in database or not
+        let checkChatId = await Chat.findOne({ _id: chatId, isGroupChat: true });
+        if (!checkChatId) throw new AppError("chatId is not found on database", 404);
+
+        if (!checkChatId.groupAdmins.some((user) => user.toString() === req.user._id.toString())) {
+            throw new AppError("Admin can only see the invite links of the Group!", 403);
+        }
+
+        const invites = await GroupInvite.find({ chat: chatId, revokedAt: null })
+            .populate({
+                path: "createdBy",
+                select: "username firstName lastName avatar",
+            })
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json(success("Success", 200, {
+            invites: invites.filter((invite) => invite.isActive())
+        }));
+    }
+
+
+    /**
+     * @route   DELETE /api/v1/chats/group/:id/invites/:inviteId
+     * @desc    Revoke an invite link of the group, only allowed for the admins
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async revokeGroupInvite(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.object({
+            chatId: Joi.string()
+                .label('Chat ID')
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .rule({ message: '{{#label}} is Invalid!' }),
+
+            inviteId: Joi.string()
+                .label('Invite ID')
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .rule({ message: '{{#label}} is Invalid!' }),
+        });
+
+        // Validate request params with Joi schema
+        const { error, value } = schema.validate({
+            chatId: req.params.id,
+            inviteId: req.params.inviteId,
+        });
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        // Check if chat Id already exists in database or not
+        let checkChatId = await Chat.findOne({ _id: value.chatId, isGroupChat: true });
+        if (!checkChatId) throw new AppError("chatId is not found on database", 404);
+
+        if (!checkChatId.groupAdmins.some((user) => user.toString() === req.user._id.toString())) {
+            throw new AppError("Admin can only revoke the invite links of the Group!", 403);
+        }
+
+        const invite = await GroupInvite.findOneAndUpdate(
+            { _id: value.inviteId, chat: value.chatId, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+        if (!invite) throw new AppError("Invite is not found on database", 404);
+
+        return res.status(200).json(success("Invite revoked successfully", 200, { invite }));
+    }
+
+
+    /**
+     * @route   POST /api/v1/chats/join/:token
+     * @desc    Join the group of the invite link
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async joinGroupWithInvite(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.string()
+            .label('Invite Token')
+            .required()
+            .regex(/^[A-Za-z0-9_-]{32}$/)
+            .rule({ message: '{{#label}} is Invalid!' });
+
+        // Validate request param with Joi schema
+        const { error, value: token } = schema.validate(req.params.token);
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        const invite = await GroupInvite.findOne({ tokenHash: hashToken(token) });
+        if (!invite || !invite.isActive()) throw new AppError("Invite link is invalid or expired", 404);
+
+        // Check if chat Id already exists in database or not
+        let checkChatId = await Chat.findOne({ _id: invite.chat, isGroupChat: true });
+        if (!checkChatId) throw new AppError("Invite link is invalid or expired", 404);
+
+        const isMember = [...checkChatId.users, ...checkChatId.groupAdmins]
+            .some((user) => user.toString() === req.user._id.toString());
+        if (isMember) throw new AppError("This User Already Added on this group", 400);
+
+        // Count the use atomically, so the max uses can't be exceeded by concurrent joins
+        const usedInvite = await GroupInvite.findOneAndUpdate(
+            {
+                _id: invite._id,
+                revokedAt: null,
+                $or: [
+                    { maxUses: null },
+                    { $expr: { $lt: ["$uses", "$maxUses"] } }
+                ]
+            },
+            { $inc: { uses: 1 } }
+        );
+        if (!usedInvite) throw new AppError("Invite link is invalid or expired", 404);
+
+        const updatedChat = await Chat.findByIdAndUpdate(
+            invite.chat,
+            { $addToSet: { users: req.user._id } },
+            { new: true }
+        )
+            .populate({
+                path: "users",
+                select: PUBLIC_USER_FIELDS,
+            })
+            .populate({
+                path: "groupAdmins",
+                select: PUBLIC_USER_FIELDS,
+            })
+            .populate({
+                path: "latestMessage",
+                populate: {
+                    path: "sender",
+                    select: "username firstName lastName avatar",
+                }
+            });
+
+        updatedChat.latestMessage = await createSystemMessage(
+            updatedChat,
+            req.user,
+            "member_joined",
+            `${displayName(req.user)} joined the group using an invite link`,
+            { users: [req.user._id], meta: { invite: invite._id } }
+        );
+
+        // The other devices of the user get the new chat, the existing members get the updated chat
+        emitToUsers([req.user._id], 'joinGroupChat', updatedChat);
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
+        return res.status(200).json(success("Success", 200, { chat: updatedChat }));
+    }
+
+
+    /**
+     * @route   PUT /api/v1/chats/group/description
+     * @desc    Update the description (topic) of the Group chat
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async updateGroupDescription(req, res) {
+        // Joi Schema for input validation
+        const schema = Joi.object({
+            chatId: Joi.string()
+                .label('Chat ID')
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .rule({ message: '{{#label}} is Invalid!' }),
+
+            description: Joi.string().max(500).trim().allow("").required()
+        });
+
+        // Validate request body with Joi schema
+        const { error, value } = schema.validate(req.body);
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        // Check if chat Id already exists in database or not
+        let checkChatId = await Chat.findOne({ _id: value.chatId, isGroupChat: true });
+        if (!checkChatId) throw new AppError("chatId is not found on database", 404);
+
+        const isMember = [...checkChatId.users, ...checkChatId.groupAdmins]
+            .some((user) => user.toString() === req.user._id.toString());
+        if (!isMember) throw new AppError("This User is not attached with this chat", 404);
+
+        const updatedChat = await Chat.findByIdAndUpdate(
+            value.chatId,
+            { description: value.description },
+            { new: true }
+        )
+            .populate({
+                path: "users",
+                select: PUBLIC_USER_FIELDS,
+            })
+            .populate({
+                path: "groupAdmins",
+                select: PUBLIC_USER_FIELDS,
+            })
+            .populate({
+                path: "latestMessage",
+                populate: {
+                    path: "sender",
+                    select: "username firstName lastName avatar",
+                }
+            });
+
+        updatedChat.latestMessage = await createSystemMessage(
+            updatedChat,
+            req.user,
+            "description_changed",
+            value.description
+                ? `${displayName(req.user)} changed the group description`
+                : `${displayName(req.user)} removed the group description`,
+            { meta: { description: value.description } }
+        );
+
+        emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
+        return res.status(200).json(success("Success", 200, { chat: updatedChat }));
+    }
+
+
+    /**
+     * @route   PUT /api/v1/chats/group/icon
+     * @desc    Upload or replace the icon of the Group chat, only allowed for the admins
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     * @param   {Function} next - Next middleware function.
+     *
+     * @returns {void}
+     */
+
+    static async updateGroupIcon(req, res, next) {
+        const storage = multer.diskStorage({
+            destination: function (req, file, cb) {
+                cb(null, "public/uploads");
+            },
+
+            filename: function (req, file, cb) {
+                const fileName = file.originalname.split(".")[0];
+                const fileExtension = file.originalname.split(".")[1];
+
+                cb(null, `${fileName}-${Date.now()}.${fileExtension}`);
+            },
+        });
+
+        async function fileFilter(req, file, cb) {
+            if (!file) {
+                return cb(new AppError("Group Icon Image is Required!", 400), false);
+            }
+
+            // Check if the file is an image with the allowed extensions
+            const fileExtension = path.extname(file.originalname).toLowerCase();
+            const allowedExtensions = [".png", ".jpg", ".jpeg", ".gif", ".webp"];
+
+            const isImage = file.mimetype.startsWith("image/");
+            const isAllowedExtension = allowedExtensions.includes(fileExtension);
+
+            if (!isImage || !isAllowedExtension) {
+                return cb(
+                    new AppError(
+                        "Invalid file type. Only image files (PNG, JPG, JPEG, GIF, and WebP) are allowed.",
+                        400
+                    ),
+                    false
+                );
+            }
+
+            cb(null, true);
+        }
+
+        const limits = {
+            fileSize: 2 * 1000 * 1000, // 2 MB
+            files: 1,
+        };
+
+        const upload = multer({ storage, limits, fileFilter }).single("groupIcon");
+
+        upload(req, res, async (err) => {
+            try {
+                if (err instanceof multer.MulterError) {
+                    if (err.code === "LIMIT_FILE_SIZE") {
+                        throw new AppError(
+                            `File ${err.field} upload exceeds the maximum file size limit!`,
+                            400
+                        );
+                    }
+                    else {
+                        throw err;
+                    }
+                }
+                else if (err instanceof AppError) {
+                    throw err;
+                }
+
+                if (!req.file) {
+                    throw new AppError("Group Icon Image is Required!", 400);
+                }
+
+                // Joi Schema for input validation
+                const schema = Joi.string()
+                    .label('Chat ID')
+                    .required()
+                    .regex(/^[0-9a-fA-F]{24}$/)
+                    .rule({ message: '{{#label}} is Invalid!' });
+
+                // Validate request body with Joi schema
+                const { error, value: chatId } = schema.validate(req.body.chatId);
+                if (error) {
+                    throw new AppError(error.details[0].message, 422);
+                }
+
+                // Check if chat Id already exists in database or not
+                let checkChatId = await Chat.findOne({ _id: chatId, isGroupChat: true });
+                if (!checkChatId) throw new AppError("chatId is not found on database", 404);
+
+                if (!checkChatId.groupAdmins.some((user) => user.toString() === req.user._id.toString())) {
+                    throw new AppError("Admin can only update the icon of the Group!", 403);
+                }
+
+                const filePath = req.file.path.replaceAll("\\", "/");
+                const newFilePath = filePath.replace("public/", "");
+
+                const updatedChat = await Chat.findByIdAndUpdate(
+                    chatId,
+                    { groupIcon: newFilePath },
+                    { new: true }
+                )
+                    .populate({
+                        path: "users",
+                        select: PUBLIC_USER_FIELDS,
+                    })
+                    .populate({
+                        path: "groupAdmins",
+                        select: PUBLIC_USER_FIELDS,
+                    })
+                    .populate({
+                        path: "latestMessage",
+                        populate: {
+                            path: "sender",
+                            select: "username firstName lastName avatar",
+                        }
+                    });
+
+                // Remove the replaced icon from the disk
+                if (checkChatId.groupIcon && checkChatId.groupIcon !== DEFAULT_GROUP_ICON) {
+                    await fs.promises.unlink(path.join("public", checkChatId.groupIcon)).catch(() => {});
+                }
+
+                updatedChat.latestMessage = await createSystemMessage(
+                    updatedChat,
+                    req.user,
+                    "icon_changed",
+                    `${displayName(req.user)} changed the group icon`
+                );
+
+                emitToChatMembers(updatedChat, 'updatedGroupChat', updatedChat, req.user._id);
+
+                return res.status(200).json(success("Success", 200, { chat: updatedChat }));
+            }
+            catch (err) {
+                // Don't keep the uploaded icon of a rejected request
+                if (req.file) await fs.promises.unlink(req.file.path).catch(() => {});
+
+                return next(err);
+            }
+        });
+    }
+
+
+    /**
+     * @route   PUT /api/v1/chats/:id/settings
+     * @desc    Update the personal settings (mute until, archive and pin) of the current user for the chat
+     * @access  Protected
+     *
+     * @param   {Object} req - Express request object.
+     * @param   {Object} res - Express response object.
+     *
+     * @returns {void}
+     */
+
+    static async updateChatSettings(req, res) {
+        // Joi Schema for input validation, null mutedUntil unmutes the chat
+        const schema = Joi.object({
+            chatId: Joi.string()
+                .label('Chat ID')
+                .required()
+                .regex(/^[0-9a-fA-F]{24}$/)
+                .rule({ message: '{{#label}} is Invalid!' }),
+
+            mutedUntil: Joi.date().iso().greater('now').allow(null),
+            archived: Joi.boolean(),
+            pinned: Joi.boolean(),
+        }).or('mutedUntil', 'archived', 'pinned');
+
+        // Validate request param and body with Joi schema
+        const { error, value } = schema.validate({ ...req.body, chatId: req.params.id });
+        if (error) {
+            throw new AppError(error.details[0].message, 422);
+        }
+
+        // Check if userId already attached to the chatId
+        let checkUserExistOnChat = await Chat.findOne({
+            _id: value.chatId,
+            $or: [
+                {
+                    users: {
+                        $elemMatch: { $eq: req.user._id }
+                    },
+                },
+                {
+                    groupAdmins: {
+                        $elemMatch: { $eq: req.user._id }
+                    }
+                }
+            ]
+        });
+        if (!checkUserExistOnChat) throw new AppError("This User is not attached with this chat", 404);
+
+        const update = {};
+        if (value.mutedUntil !== undefined) update.mutedUntil = value.mutedUntil;
+        if (value.archived !== undefined) update.archived = value.archived;
+        if (value.pinned !== undefined) update.pinnedAt = value.pinned ? new Date() : null;
+
+        const settings = await ChatSetting.findOneAndUpdate(
+            { user: req.user._id, chat: value.chatId },
+            { $set: update },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        return res.status(200).json(success("Success", 200, { settings }));
+    }
 }
 
 module.exports = ChatController;
\ No newline at end of file
@@ -2,14 +2,843 @@ const Joi = require("joi");
 
 const Chat = require("../models/Chat");
 const Message = require("../models/Message");
+const UserBlock = require("../models/UserBlock");
+const ChatSetting = require("../models/ChatSetting");
+const { PUBLIC_USER_FIELDS } = require("../models/User");
 
 const AppError = require("../utils/AppError");
 const { success } = require("../utils/apiResponse");
+const { highlightSnippet } = require("../utils");
+const { tombstoneMessage } = require("../utils/messages");
+const {
+  emitToUsers,
+  emitToChatMembers,
+  emitToChat,
+  getSessionRoom,
+} = require("../utils/socket");
+const {
+  buildAttachments,
+  removeUploadedFiles,
+  getAttachmentPath,
+  getThumbnailPath,
+} = require("../utils/attachments");
+
+// Populate option for the quoted preview of the replied message
+const replyPreview = {
+  path: "replyTo",
+  select: "content sender attachments isDeleted createdAt",
+  populate: {
+    path: "sender",
+    select: "username firstName lastName avatar",
+  },
+};
 
 class MessageController {
   /**
-   * @route   GET /api/v1/messages
-   * @desc    Get all the messages that send by the current user on the inputted chatId
+   * @route   GET /api/v1/messages
+   * @desc    Get a page of the messages of the inputted chatId, using the before/after cursor (message ID or timestamp)
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getAllMessages(req, res) {
+    // A cursor can either be a message ID or an ISO timestamp
+    const cursor = Joi.alternatives().try(
+      Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+      Joi.date().iso()
+    );
+
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      chatId: Joi.string()
+        .label("Chat ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      before: cursor.label("Before Cursor"),
+      after: cursor.label("After Cursor"),
+      limit: Joi.number().integer().min(1).max(100).default(30),
+    }).oxor("before", "after");
+
+    // Validate request query with Joi schema
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // Check if userId already attached to the chatId
+    let checkUserExistOnChat = await Chat.findOne({
+      _id: value.chatId,
+      $or: [
+        {
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+        {
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+      ],
+    });
+    if (!checkUserExistOnChat)
+      throw new AppError("This User is not attached with this chat", 400);
+
+    // Without an "after" cursor we walk backwards from the newest message
+    const direction = value.after ? "after" : "before";
+    // Thread replies are only listed on their thread
+    const filter = { chat: value.chatId, threadRoot: null };
+
+    const cursorValue = value.before || value.after;
+    if (cursorValue) {
+      const operator = direction === "before" ? "$lt" : "$gt";
+
+      if (cursorValue instanceof Date) {
+        filter.createdAt = { [operator]: cursorValue };
+      }
+      else {
+        const cursorMessage = await Message.findOne({
+          _id: cursorValue,
+          chat: value.chatId,
+        });
+        if (!cursorMessage)
+          throw new AppError("Cursor message is not found on this chat", 404);
+
+        // Messages created at the same time are ordered by their _id
+        filter.$or = [
+          { createdAt: { [operator]: cursorMessage.createdAt } },
+          {
+            createdAt: cursorMessage.createdAt,
+            _id: { [operator]: cursorMessage._id },
+          },
+        ];
+      }
+    }
+
+    const sortOrder = direction === "before" ? -1 : 1;
+
+    // Fetch one extra message to know if there is another page
+    const messages = await Message.find(filter)
+      .sort({ createdAt: sortOrder, _id: sortOrder })
+      .limit(value.limit + 1)
+      .populate({
+        path: "sender",
+        select: PUBLIC_USER_FIELDS,
+      })
+      .populate(replyPreview);
+
+    const hasMore = messages.length > value.limit;
+    if (hasMore) messages.pop();
+
+    const nextCursor = hasMore ? messages[messages.length - 1]._id : null;
+
+    // Always return the page in chronological order
+    if (direction === "before") messages.reverse();
+
+    const results = messages.map((message) => ({
+      ...message.toObject(),
+      reactions: message.summarizeReactions(req.user._id),
+    }));
+
+    return res
+      .status(200)
+      .json(success("Success", 200, { messages: results, nextCursor, hasMore }));
+  }
+
+  /**
+   * @route   GET /api/v1/messages/search
+   * @desc    Full-text search of the messages across all the chats of the current user,
+   *          optionally filtered by chatId, senderId and from/to dates
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async searchMessages(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      q: Joi.string().trim().min(1).max(200).required().label("Search Query"),
+      chatId: Joi.string()
+        .label("Chat ID")
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      senderId: Joi.string()
+        .label("Sender ID")
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      from: Joi.date().iso(),
+      to: Joi.date()
+        .iso()
+        .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) }),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(20),
+    });
+
+    // Validate request query with Joi schema
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // Only search on the chats where the user attached with
+    const chats = await Chat.find({
+      ...(value.chatId && { _id: value.chatId }),
+      $or: [
+        {
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+        {
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+      ],
+    }).select("_id");
+
+    if (value.chatId && !chats.length)
+      throw new AppError("This User is not attached with this chat", 400);
+
+    const filter = {
+      $text: { $search: value.q },
+      chat: { $in: chats.map((chat) => chat._id) },
+      type: { $ne: "system" },
+      isDeleted: { $ne: true },
+    };
+
+    if (value.senderId) filter.sender = value.senderId;
+
+    if (value.from || value.to) {
+      filter.createdAt = {
+        ...(value.from && { $gte: value.from }),
+        ...(value.to && { $lte: value.to }),
+      };
+    }
+
+    const [total, messages] = await Promise.all([
+      Message.countDocuments(filter),
+      Message.find(filter, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit)
+        .populate({
+          path: "sender",
+          select: "username firstName lastName avatar",
+        })
+        .populate({
+          path: "chat",
+          select: "chatName isGroupChat groupIcon users",
+          populate: {
+            path: "users",
+            select: "username firstName lastName avatar",
+          },
+        }),
+    ]);
+
+    // Highlight the searched terms, ignoring the excluded (-term) ones
+    const terms = value.q
+      .replace(/"/g, " ")
+      .split(/\s+/)
+      .filter((term) => term && !term.startsWith("-"));
+
+    const results = messages.map((message) => ({
+      ...message.toObject(),
+      reactions: message.summarizeReactions(req.user._id),
+      snippet: highlightSnippet(message.content, terms),
+    }));
+
+    return res.status(200).json(
+      success("Success", 200, {
+        messages: results,
+        page: value.page,
+        limit: value.limit,
+        total,
+        hasMore: value.page * value.limit < total,
+      })
+    );
+  }
+
+  /**
+   * @route   POST /api/v1/messages
+   * @desc    Create Message record with the loggedin user Id as sender and inputted chatId as chat,
+   *          optionally with the files uploaded on the multipart "attachments" field
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async sendMessage(req, res) {
+    try {
+      // Joi Schema for input validation
+      const schema = Joi.object({
+        chatId: Joi.string()
+          .label("Chat ID")
+          .required()
+          .regex(/^[0-9a-fA-F]{24}$/)
+          .rule({ message: "{{#label}} is Invalid!" }),
+        message: req.files?.length
+          ? Joi.string().allow("").default("")
+          : Joi.string().required(),
+        replyTo: Joi.string()
+          .label("Reply To Message ID")
+          .regex(/^[0-9a-fA-F]{24}$/)
+          .rule({ message: "{{#label}} is Invalid!" }),
+        threadId: Joi.string()
+          .label("Thread ID")
+          .regex(/^[0-9a-fA-F]{24}$/)
+          .rule({ message: "{{#label}} is Invalid!" }),
+      });
+
+      // Validate request param with Joi schema
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        // If input validation fails, throw AppError with 422 status code and validation errors
+        throw new AppError(error.details[0].message, 422);
+      }
+
+      // Check if userId already attached to the chatId
+      let checkUserExistOnChat = await Chat.findOne({
+        _id: value.chatId,
+        $or: [
+          {
+            users: {
+              $elemMatch: { $eq: req.user._id },
+            },
+          },
+          {
+            groupAdmins: {
+              $elemMatch: { $eq: req.user._id },
+            },
+          },
+        ],
+      });
+      if (!checkUserExistOnChat)
+        throw new AppError("This User is not attached with this chat", 404);
+
+      // Messages are rejected on a one to one chat if any of the users blocked the other one
+      if (!checkUserExistOnChat.isGroupChat) {
+        const otherUserId = checkUserExistOnChat.users.find(
+          (userId) => userId.toString() !== req.user._id.toString()
+        );
+
+        if (otherUserId && (await UserBlock.isBlockedBetween(req.user._id, otherUserId)))
+          throw new AppError("Unable to send message to this user", 403);
+      }
+
+      // The replied message must belong to the same chat
+      if (value.replyTo) {
+        const replyToMessage = await Message.exists({
+          _id: value.replyTo,
+          chat: value.chatId,
+        });
+        if (!replyToMessage)
+          throw new AppError("Replied message is not found on this chat", 404);
+      }
+
+      // Replies of a thread reply go to the root of its thread
+      let threadRoot = null;
+      if (value.threadId) {
+        const threadMessage = await Message.findOne({
+          _id: value.threadId,
+          chat: value.chatId,
+          isDeleted: { $ne: true },
+        });
+        if (!threadMessage)
+          throw new AppError("Thread message is not found on this chat", 404);
+
+        threadRoot = threadMessage.threadRoot || threadMessage._id;
+      }
+
+      const createdMessage = await Message.create({
+        content: value.message,
+        chat: value.chatId,
+        sender: req.user._id,
+        replyTo: value.replyTo,
+        threadRoot,
+        attachments: await buildAttachments(req.files),
+      });
+
+      if (threadRoot) {
+        await Message.findByIdAndUpdate(
+          threadRoot,
+          {
+            $inc: { threadReplyCount: 1 },
+            lastThreadReplyAt: createdMessage.createdAt,
+          },
+          { timestamps: false }
+        );
+      }
+      else {
+        await Chat.findByIdAndUpdate(value.chatId, {
+          latestMessage: createdMessage._id,
+        });
+      }
+
+      const completeMessage = await Message.findOne({ _id: createdMessage._id })
+        .populate({
+          path: "sender",
+          select: PUBLIC_USER_FIELDS,
+        })
+        .populate({
+          path: "chat",
+        })
+        .populate({
+          path: "readBy",
+          select: PUBLIC_USER_FIELDS,
+        })
+        .populate(replyPreview);
+
+      // Deliver the persisted message to the members of the chat, the other devices of the sender
+      // included, only the sending session already has it from the response
+      emitToChatMembers(
+        checkUserExistOnChat,
+        threadRoot ? "receiveThreadMessage" : "receiveMessage",
+        completeMessage,
+        getSessionRoom(req.session._id)
+      );
+
+      // Only notify the members who didn't mute the chat
+      const recipients = [
+        ...checkUserExistOnChat.users,
+        ...checkUserExistOnChat.groupAdmins,
+      ]
+        .map((userId) => userId.toString())
+        .filter((userId) => userId !== req.user._id.toString());
+
+      const mutedUserIds = await ChatSetting.getMutedUserIds(
+        value.chatId,
+        recipients
+      );
+
+      emitToUsers(
+        recipients.filter((userId) => !mutedUserIds.includes(userId)),
+        "messageNotification",
+        {
+          chatId: value.chatId,
+          messageId: completeMessage._id,
+          threadRoot,
+          sender: {
+            _id: req.user._id,
+            username: req.user.username,
+            avatar: req.user.avatar,
+          },
+          preview: completeMessage.content.slice(0, 100),
+        }
+      );
+
+      // Let the members update the reply count of the thread
+      if (threadRoot) {
+        const rootMessage = await Message.findById(threadRoot).select(
+          "chat threadReplyCount lastThreadReplyAt"
+        );
+
+        emitToChatMembers(checkUserExistOnChat, "threadUpdated", {
+          _id: rootMessage._id,
+          chat: rootMessage.chat,
+          threadReplyCount: rootMessage.threadReplyCount,
+          lastThreadReplyAt: rootMessage.lastThreadReplyAt,
+        });
+      }
+
+      return res
+        .status(200)
+        .json(success("Success", 200, { message: completeMessage }));
+    }
+    catch (err) {
+      // Don't keep the uploaded files of a rejected message
+      await removeUploadedFiles(req.files);
+      throw err;
+    }
+  }
+
+  /**
+   * @route   GET /api/v1/messages/:id/thread
+   * @desc    Get the root message of a thread with a page of its replies, using the before cursor (reply message ID)
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getThread(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      before: Joi.string()
+        .label("Before Cursor")
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      limit: Joi.number().integer().min(1).max(100).default(30),
+    });
+
+    // Validate request param and query with Joi schema, the query can't override the param
+    const { error, value } = schema.validate({
+      ...req.query,
+      messageId: req.params.id,
+    });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const rootMessage = await Message.findOne({
+      _id: value.messageId,
+      threadRoot: null,
+    })
+      .populate({
+        path: "sender",
+        select: PUBLIC_USER_FIELDS,
+      })
+      .populate(replyPreview);
+    if (!rootMessage) throw new AppError("Thread is not found on database", 404);
+
+    // Check if userId already attached to the chat of the thread
+    let checkUserExistOnChat = await Chat.findOne({
+      _id: rootMessage.chat,
+      $or: [
+        {
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+        {
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+      ],
+    });
+    if (!checkUserExistOnChat)
+      throw new AppError("This User is not attached with this chat", 400);
+
+    const filter = { threadRoot: rootMessage._id };
+
+    if (value.before) {
+      const cursorMessage = await Message.findOne({
+        _id: value.before,
+        threadRoot: rootMessage._id,
+      });
+      if (!cursorMessage)
+        throw new AppError("Cursor message is not found on this thread", 404);
+
+      filter.$or = [
+        { createdAt: { $lt: cursorMessage.createdAt } },
+        { createdAt: cursorMessage.createdAt, _id: { $lt: cursorMessage._id } },
+      ];
+    }
+
+    // Fetch one extra reply to know if there is another page
+    const replies = await Message.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(value.limit + 1)
+      .populate({
+        path: "sender",
+        select: PUBLIC_USER_FIELDS,
+      })
+      .populate(replyPreview);
+
+    const hasMore = replies.length > value.limit;
+    if (hasMore) replies.pop();
+
+    const nextCursor = hasMore ? replies[replies.length - 1]._id : null;
+
+    const withReactions = (message) => ({
+      ...message.toObject(),
+      reactions: message.summarizeReactions(req.user._id),
+    });
+
+    return res.status(200).json(
+      success("Success", 200, {
+        message: withReactions(rootMessage),
+        replies: replies.reverse().map(withReactions),
+        nextCursor,
+        hasMore,
+      })
+    );
+  }
+
+  /**
+   * @route   POST /api/v1/messages/:id/reactions
+   * @desc    Add the reaction (emoji) of the current user on a message
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async addReaction(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      emoji: Joi.string()
+        .label("Emoji")
+        .required()
+        .max(32)
+        .regex(/^(?=.*(\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3))(\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u)
+        .rule({ message: "{{#label}} is Invalid!" }),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({
+      messageId: req.params.id,
+      emoji: req.body.emoji,
+    });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const message = await Message.findOne({
+      _id: value.messageId,
+      isDeleted: { $ne: true },
+    });
+    if (!message) throw new AppError("Message is not found on database", 404);
+
+    // Check if userId already attached to the chat of the message
+    let checkUserExistOnChat = await Chat.findOne({
+      _id: message.chat,
+      $or: [
+        {
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+        {
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+      ],
+    });
+    if (!checkUserExistOnChat)
+      throw new AppError("This User is not attached with this chat", 404);
+
+    const updatedMessage = await Message.findByIdAndUpdate(
+      message._id,
+      { $addToSet: { [`reactions.${value.emoji}`]: req.user._id } },
+      { new: true, timestamps: false }
+    );
+
+    emitToChat(message.chat, "messageReaction", {
+      messageId: updatedMessage._id,
+      chatId: updatedMessage.chat,
+      userId: req.user._id,
+      emoji: value.emoji,
+      action: "added",
+      reactions: Object.fromEntries(updatedMessage.reactions),
+    });
+
+    return res.status(200).json(
+      success("Success", 200, {
+        messageId: updatedMessage._id,
+        reactions: updatedMessage.summarizeReactions(req.user._id),
+      })
+    );
+  }
+
+  /**
+   * @route   DELETE /api/v1/messages/:id/reactions/:emoji
+   * @desc    Remove the reaction (emoji) of the current user from a message
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async removeReaction(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      emoji: Joi.string()
+        .label("Emoji")
+        .required()
+        .max(32)
+        .regex(/^(?=.*(\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3))(\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u)
+        .rule({ message: "{{#label}} is Invalid!" }),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({
+      messageId: req.params.id,
+      emoji: req.params.emoji,
+    });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const message = await Message.findOne({
+      _id: value.messageId,
+      isDeleted: { $ne: true },
+    });
+    if (!message) throw new AppError("Message is not found on database", 404);
+
+    // Check if userId already attached to the chat of the message
+    let checkUserExistOnChat = await Chat.findOne({
+      _id: message.chat,
+      $or: [
+        {
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+        {
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+      ],
+    });
+    if (!checkUserExistOnChat)
+      throw new AppError("This User is not attached with this chat", 404);
+
+    let updatedMessage = await Message.findByIdAndUpdate(
+      message._id,
+      { $pull: { [`reactions.${value.emoji}`]: req.user._id } },
+      { new: true, timestamps: false }
+    );
+
+    // Don't keep the emoji without any reactor
+    if (updatedMessage.reactions.get(value.emoji)?.length === 0) {
+      updatedMessage = await Message.findOneAndUpdate(
+        { _id: message._id, [`reactions.${value.emoji}`]: { $size: 0 } },
+        { $unset: { [`reactions.${value.emoji}`]: 1 } },
+        { new: true, timestamps: false }
+      ) || updatedMessage;
+    }
+
+    emitToChat(message.chat, "messageReaction", {
+      messageId: updatedMessage._id,
+      chatId: updatedMessage.chat,
+      userId: req.user._id,
+      emoji: value.emoji,
+      action: "removed",
+      reactions: Object.fromEntries(updatedMessage.reactions),
+    });
+
+    return res.status(200).json(
+      success("Success", 200, {
+        messageId: updatedMessage._id,
+        reactions: updatedMessage.summarizeReactions(req.user._id),
+      })
+    );
+  }
+
+  /**
+   * @route   GET /api/v1/messages/:id/attachments/:attachmentId
+   * @desc    Download an attachment (or its thumbnail with ?thumbnail=true) of a message on a chat of the current user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async downloadAttachment(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      attachmentId: Joi.string()
+        .label("Attachment ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      thumbnail: Joi.boolean().default(false),
+    });
+
+    // Validate request params with Joi schema
+    const { error, value } = schema.validate({
+      messageId: req.params.id,
+      attachmentId: req.params.attachmentId,
+      thumbnail: req.query.thumbnail,
+    });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const message = await Message.findOne({
+      _id: value.messageId,
+      isDeleted: { $ne: true },
+    });
+    if (!message) throw new AppError("Message is not found on database", 404);
+
+    // Only the members of the chat are able to download its attachments
+    let checkUserExistOnChat = await Chat.findOne({
+      _id: message.chat,
+      $or: [
+        {
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+        {
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+      ],
+    });
+    if (!checkUserExistOnChat)
+      throw new AppError("This User is not attached with this chat", 403);
+
+    const attachment = message.attachments.id(value.attachmentId);
+    if (!attachment) throw new AppError("Attachment is not found on database", 404);
+
+    if (value.thumbnail) {
+      if (!attachment.thumbnail)
+        throw new AppError("This attachment has no thumbnail", 404);
+
+      return res.sendFile(getThumbnailPath(attachment.thumbnail));
+    }
+
+    res.type(attachment.mimeType);
+    return res.download(
+      getAttachmentPath(attachment.fileName),
+      attachment.originalName
+    );
+  }
+
+  /**
+   * @route   PUT /api/v1/messages/readby
+   * @desc    Update readby array of the message
    * @access  Protected
    *
    * @param   {Object} req - Express request object.
@@ -18,24 +847,35 @@ class MessageController {
    * @returns {void}
    */
 
-  static async getAllMessages(req, res) {
+  static async updateReadBy(req, res) {
     // Joi Schema for input validation
-    const schema = Joi.string()
-      .label("Chat ID")
-      .required()
-      .regex(/^[0-9a-fA-F]{24}$/)
-      .rule({ message: "{{#label}} is Invalid!" });
+    const schema = Joi.object({
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+    });
 
     // Validate request param with Joi schema
-    const { error, value: chatId } = schema.validate(req.query.chatId);
+    const { error, value } = schema.validate(req.body);
     if (error) {
       // If input validation fails, throw AppError with 422 status code and validation errors
       throw new AppError(error.details[0].message, 422);
     }
 
+    // Check if the message exists and is not already read by the user
+    let checkMessageExist = await Message.findOne({
+      _id: value.messageId,
+      sender: { $ne: req.user._id },
+      readBy: { $nin: [req.user._id] },
+    });
+    if (!checkMessageExist)
+      throw new AppError("Invalid Message Id or Message update", 400);
+
     // Check if userId already attached to the chatId
     let checkUserExistOnChat = await Chat.findOne({
-      _id: chatId,
+      _id: checkMessageExist.chat,
       $or: [
         {
           users: {
@@ -50,25 +890,39 @@ class MessageController {
       ],
     });
     if (!checkUserExistOnChat)
-      throw new AppError("This User is not attached with this chat", 400);
+      throw new AppError("This User is not attached with this chat", 404);
 
-    const messages = await Message.find({
-      chat: chatId,
-    })
+    const readAt = new Date();
+    await Message.markRead({ _id: checkMessageExist._id }, req.user._id, readAt);
+
+    emitToChatMembers(checkUserExistOnChat, "messagesRead", {
+      chatId: checkMessageExist.chat,
+      userId: req.user._id,
+      messageIds: [checkMessageExist._id],
+      readAt,
+    });
+
+    const completeMessage = await Message.findOne({ _id: checkMessageExist._id })
       .populate({
         path: "sender",
-        select: "-password",
+        select: PUBLIC_USER_FIELDS,
       })
       .populate({
         path: "chat",
+      })
+      .populate({
+        path: "readBy",
+        select: PUBLIC_USER_FIELDS,
       });
 
-    return res.status(200).json(success("Success", 200, { messages }));
+    return res
+      .status(200)
+      .json(success("Success", 200, { message: completeMessage }));
   }
 
   /**
-   * @route   POST /api/v1/messages
-   * @desc    Create Message record with the loggedin user Id as sender and inputted chatId as chat
+   * @route   PUT /api/v1/messages/read
+   * @desc    Mark all the messages of the chat up to (and including) the inputted messageId as read by the current user
    * @access  Protected
    *
    * @param   {Object} req - Express request object.
@@ -77,7 +931,7 @@ class MessageController {
    * @returns {void}
    */
 
-  static async sendMessage(req, res) {
+  static async markChatAsRead(req, res) {
     // Joi Schema for input validation
     const schema = Joi.object({
       chatId: Joi.string()
@@ -85,10 +939,14 @@ class MessageController {
         .required()
         .regex(/^[0-9a-fA-F]{24}$/)
         .rule({ message: "{{#label}} is Invalid!" }),
-      message: Joi.string().required(),
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
     });
 
-    // Validate request param with Joi schema
+    // Validate request body with Joi schema
     const { error, value } = schema.validate(req.body);
     if (error) {
       // If input validation fails, throw AppError with 422 status code and validation errors
@@ -114,37 +972,38 @@ class MessageController {
     if (!checkUserExistOnChat)
       throw new AppError("This User is not attached with this chat", 404);
 
-    const createdMessage = await Message.create({
-      content: value.message,
+    const lastMessage = await Message.findOne({
+      _id: value.messageId,
       chat: value.chatId,
-      sender: req.user._id,
     });
+    if (!lastMessage)
+      throw new AppError("Message is not found on this chat", 404);
 
-    await Chat.findByIdAndUpdate(value.chatId, {
-      latestMessage: createdMessage._id,
-    });
+    const readAt = new Date();
 
-    const completeMessage = await Message.findOne({ _id: createdMessage._id })
-      .populate({
-        path: "sender",
-        select: "-password",
-      })
-      .populate({
-        path: "chat",
-      })
-      .populate({
-        path: "readBy",
-        select: "-password",
+    const { modifiedCount } = await Message.markRead(
+      { chat: value.chatId, createdAt: { $lte: lastMessage.createdAt } },
+      req.user._id,
+      readAt
+    );
+
+    if (modifiedCount) {
+      emitToChatMembers(checkUserExistOnChat, "messagesRead", {
+        chatId: value.chatId,
+        userId: req.user._id,
+        upToMessageId: lastMessage._id,
+        readAt,
       });
+    }
 
     return res
       .status(200)
-      .json(success("Success", 200, { message: completeMessage }));
+      .json(success("Success", 200, { chatId: value.chatId, modifiedCount, readAt }));
   }
 
   /**
-   * @route   PUT /api/v1/messages/readby
-   * @desc    Update readby array of the message
+   * @route   PUT /api/v1/messages/delivered
+   * @desc    Mark all the messages of the chat up to (and including) the inputted messageId as delivered by the current user
    * @access  Protected
    *
    * @param   {Object} req - Express request object.
@@ -153,9 +1012,14 @@ class MessageController {
    * @returns {void}
    */
 
-  static async updateReadBy(req, res) {
+  static async markChatAsDelivered(req, res) {
     // Joi Schema for input validation
     const schema = Joi.object({
+      chatId: Joi.string()
+        .label("Chat ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
       messageId: Joi.string()
         .label("Message ID")
         .required()
@@ -163,7 +1027,7 @@ class MessageController {
         .rule({ message: "{{#label}} is Invalid!" }),
     });
 
-    // Validate request param with Joi schema
+    // Validate request body with Joi schema
     const { error, value } = schema.validate(req.body);
     if (error) {
       // If input validation fails, throw AppError with 422 status code and validation errors
@@ -171,23 +1035,165 @@ class MessageController {
     }
 
     // Check if userId already attached to the chatId
-    let checkMessageExist = await Message.findOne({
-      _id: value.messageId,
-      $and: [
+    let checkUserExistOnChat = await Chat.findOne({
+      _id: value.chatId,
+      $or: [
         {
-          $ne: { sender: req.user._id },
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
         },
         {
-          readBy: { $nin: [req.user._id] },
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
         },
       ],
     });
-    if (!checkMessageExist)
-      throw new AppError("Invalid Message Id or Message update", 400);
+    if (!checkUserExistOnChat)
+      throw new AppError("This User is not attached with this chat", 404);
 
-    // Check if userId already attached to the chatId
+    const lastMessage = await Message.findOne({
+      _id: value.messageId,
+      chat: value.chatId,
+    });
+    if (!lastMessage)
+      throw new AppError("Message is not found on this chat", 404);
+
+    const deliveredAt = new Date();
+
+    const { modifiedCount } = await Message.markDelivered(
+      { chat: value.chatId, createdAt: { $lte: lastMessage.createdAt } },
+      req.user._id,
+      deliveredAt
+    );
+
+    if (modifiedCount) {
+      emitToChatMembers(checkUserExistOnChat, "messagesDelivered", {
+        chatId: value.chatId,
+        userId: req.user._id,
+        upToMessageId: lastMessage._id,
+        deliveredAt,
+      });
+    }
+
+    return res
+      .status(200)
+      .json(success("Success", 200, { chatId: value.chatId, modifiedCount, deliveredAt }));
+  }
+
+  /**
+   * @route   GET /api/v1/messages/:id/receipts
+   * @desc    Get the delivery and read receipt of every member for a message sent by the current user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getMessageReceipts(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.string()
+      .label("Message ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: messageId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const message = await Message.findOne({ _id: messageId });
+    if (!message) throw new AppError("Message is not found on database", 404);
+
+    if (message.sender.toString() !== req.user._id.toString())
+      throw new AppError("Only the sender can see the receipts of this message", 403);
+
+    const chat = await Chat.findById(message.chat).populate({
+      path: "users groupAdmins",
+      select: "username firstName lastName avatar",
+    });
+    if (!chat) throw new AppError("Chat is not found on database", 404);
+
+    const members = new Map();
+    [...chat.users, ...chat.groupAdmins].forEach((user) => {
+      if (user._id.toString() !== req.user._id.toString()) {
+        members.set(user._id.toString(), user);
+      }
+    });
+
+    const receipts = [...members.values()].map((user) => {
+      const delivered = message.deliveredTo.find(
+        (receipt) => receipt.user.toString() === user._id.toString()
+      );
+      const read = message.readReceipts.find(
+        (receipt) => receipt.user.toString() === user._id.toString()
+      );
+
+      return {
+        user,
+        status: read ? "read" : delivered ? "delivered" : "sent",
+        deliveredAt: delivered?.deliveredAt || null,
+        readAt: read?.readAt || null,
+      };
+    });
+
+    return res
+      .status(200)
+      .json(success("Success", 200, { messageId: message._id, receipts }));
+  }
+
+  /**
+   * @route   PATCH /api/v1/messages/:id
+   * @desc    Edit the content of a message sent by the current user and keep the previous content in its edit history
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async editMessage(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      messageId: Joi.string()
+        .label("Message ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      message: Joi.string().trim().required(),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({
+      messageId: req.params.id,
+      message: req.body.message,
+    });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // Check if message exists in database or not, system messages can't be edited
+    const message = await Message.findOne({
+      _id: value.messageId,
+      type: { $ne: "system" },
+      isDeleted: { $ne: true },
+    });
+    if (!message) throw new AppError("Message is not found on database", 404);
+
+    if (message.sender.toString() !== req.user._id.toString())
+      throw new AppError("Only the sender can edit this message", 403);
+
+    // Check if userId still attached to the chat of the message
     let checkUserExistOnChat = await Chat.findOne({
-      _id: checkMessageExist.chat,
+      _id: message.chat,
       $or: [
         {
           users: {
@@ -204,31 +1210,119 @@ class MessageController {
     if (!checkUserExistOnChat)
       throw new AppError("This User is not attached with this chat", 404);
 
-    const updatedMessage = await Message.findByIdAndUpdate(
-      checkMessageExist._id,
-      {
-        $push: { readBy: req.user._id },
-      },
-      { new: true }
-    );
+    if (message.content === value.message)
+      throw new AppError("Message content is not changed", 400);
+
+    const editedAt = new Date();
 
-    const completeMessage = await Message.findOne({ _id: updatedMessage._id })
+    await Message.findByIdAndUpdate(message._id, {
+      $set: { content: value.message, editedAt },
+      $push: { editHistory: { content: message.content, editedAt } },
+    });
+
+    const completeMessage = await Message.findOne({ _id: message._id })
       .populate({
         path: "sender",
-        select: "-password",
+        select: PUBLIC_USER_FIELDS,
       })
       .populate({
         path: "chat",
       })
       .populate({
         path: "readBy",
-        select: "-password",
+        select: PUBLIC_USER_FIELDS,
       });
 
+    // The other devices of the editor get the edit too, only the editing session has it from the response
+    emitToChatMembers(
+      checkUserExistOnChat,
+      "messageUpdated",
+      completeMessage,
+      getSessionRoom(req.session._id)
+    );
+
     return res
       .status(200)
       .json(success("Success", 200, { message: completeMessage }));
   }
+
+  /**
+   * @route   DELETE /api/v1/messages/:id
+   * @desc    Delete a message by replacing it with a tombstone, allowed for the sender or a group admin
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async deleteMessage(req, res) {
+    // Joi Schema for input validation
+    const schema = Joi.string()
+      .label("Message ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: messageId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // Check if message exists in database or not, system messages can't be deleted
+    const message = await Message.findOne({
+      _id: messageId,
+      type: { $ne: "system" },
+      isDeleted: { $ne: true },
+    });
+    if (!message) throw new AppError("Message is not found on database", 404);
+
+    // Check if userId attached to the chat of the message
+    let checkUserExistOnChat = await Chat.findOne({
+      _id: message.chat,
+      $or: [
+        {
+          users: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+        {
+          groupAdmins: {
+            $elemMatch: { $eq: req.user._id },
+          },
+        },
+      ],
+    });
+    if (!checkUserExistOnChat)
+      throw new AppError("This User is not attached with this chat", 404);
+
+    const isSender = message.sender.toString() === req.user._id.toString();
+    const isGroupAdmin =
+      checkUserExistOnChat.isGroupChat &&
+      checkUserExistOnChat.groupAdmins.some(
+        (user) => user.toString() === req.user._id.toString()
+      );
+
+    if (!isSender && !isGroupAdmin)
+      throw new AppError(
+        "Only the sender or a group admin can delete this message",
+        403
+      );
+
+    // Keep the message as a tombstone without its content
+    const deletedMessage = await tombstoneMessage(
+      message,
+      checkUserExistOnChat,
+      req.user._id
+    );
+
+    return res
+      .status(200)
+      .json(success("Message deleted successfully", 200, { message: deletedMessage }));
+  }
 }
 
 module.exports = MessageController;
@@ -2,10 +2,18 @@ const Joi = require("joi");
 const path = require("path");
 const bcrypt = require("bcrypt");
 const multer = require("multer");
+const mongoose = require("mongoose");
 
 const AppError = require("../utils/AppError");
+const { escapeRegExp } = require("../utils");
 const { success } = require("../utils/apiResponse");
+const { revokeSessions } = require("../utils/sessions");
+const { getOnlineUserIds, getContactIds } = require("../utils/presence");
 
+const Chat = require("../models/Chat");
+const Report = require("../models/Report");
+const Message = require("../models/Message");
+const UserBlock = require("../models/UserBlock");
 const { User } = require("../models/User");
 
 class UserController {
@@ -97,6 +105,9 @@ class UserController {
     if (!updatedUser)
       throw new AppError("Unable to Update Account Password!", 400);
 
+    // Log out from all the other devices, the current session stays active
+    await revokeSessions({ user: req.user._id, _id: { $ne: req.session._id } });
+
     return res
       .status(200)
       .json(success("Account Password Updated Successfully", 200));
@@ -119,7 +130,9 @@ class UserController {
 
   /**
    * @route   GET /api/v1/users
-   * @desc    Get all users except the logged-in user
+   * @desc    Search the users (except the logged-in user) by username, first name or last name.
+   *          The users who share a chat with the logged-in user come first, then the prefix matches,
+   *          paginated with the limit and the "nextCursor" of the previous page
    * @access  Protected
    *
    * @param   {Object} req - Express request object.
@@ -129,21 +142,200 @@ class UserController {
    */
 
   static async getAllUsers(req, res) {
-    let filter = req.query.search
-      ? {
-        $or: [
-          { username: { $regex: req.query.search, $options: "i" } },
-          { email: { $regex: req.query.search, $options: "i" } },
-        ],
-        _id: { $ne: req.user._id },
+    // Joi Schema for input validation
+    const schema = Joi.object({
+      search: Joi.string().trim().max(50).allow(""),
+      cursor: Joi.string().max(200),
+      limit: Joi.number().integer().min(1).max(50).default(20),
+    });
+
+    // Validate request query with Joi schema
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // The cursor holds the sort keys of the last user of the previous page
+    let cursor;
+    if (value.cursor) {
+      try {
+        cursor = JSON.parse(Buffer.from(value.cursor, "base64url").toString());
+      } catch (err) {
+        cursor = null;
       }
-      : {
-        _id: { $ne: req.user._id },
-      };
 
-    const users = await User.find(filter).select("-password -__v");
+      if (
+        !cursor ||
+        typeof cursor.contact !== "number" ||
+        typeof cursor.prefix !== "number" ||
+        typeof cursor.name !== "string" ||
+        !mongoose.isValidObjectId(cursor.id)
+      )
+        throw new AppError("Cursor is Invalid!", 422);
+    }
 
-    return res.status(200).json(success("Success", 200, { users }));
+    // The users who blocked the logged-in user are hidden
+    const blockers = await UserBlock.find({ blocked: req.user._id }).distinct("blocker");
+    const excludedIds = [req.user._id, ...blockers];
+
+    const contactIds = (await getContactIds(req.user._id)).map(
+      (id) => new mongoose.Types.ObjectId(id)
+    );
+
+    // The input is escaped, so it is always matched literally
+    const search = escapeRegExp(value.search || "");
+    const fields = ["username", "firstName", "lastName"];
+
+    const pipeline = [
+      {
+        $match: {
+          _id: { $nin: excludedIds },
+          ...(search && {
+            $or: fields.map((field) => ({ [field]: { $regex: search, $options: "i" } })),
+          }),
+        },
+      },
+      {
+        $addFields: {
+          contact: { $cond: [{ $in: ["$_id", contactIds] }, 1, 0] },
+          prefix: search
+            ? {
+              $cond: [
+                {
+                  $or: fields.map((field) => ({
+                    $regexMatch: { input: `$${field}`, regex: `^${search}`, options: "i" },
+                  })),
+                },
+                1,
+                0,
+              ],
+            }
+            : 0,
+          name: { $toLower: "$username" },
+        },
+      },
+    ];
+
+    if (cursor) {
+      const cursorId = new mongoose.Types.ObjectId(cursor.id);
+
+      // Continue right after the last user of the previous page on the same sort order
+      pipeline.push({
+        $match: {
+          $or: [
+            { contact: { $lt: cursor.contact } },
+            { contact: cursor.contact, prefix: { $lt: cursor.prefix } },
+            { contact: cursor.contact, prefix: cursor.prefix, name: { $gt: cursor.name } },
+            {
+              contact: cursor.contact,
+              prefix: cursor.prefix,
+              name: cursor.name,
+              _id: { $gt: cursorId },
+            },
+          ],
+        },
+      });
+    }
+
+    pipeline.push(
+      { $sort: { contact: -1, prefix: -1, name: 1, _id: 1 } },
+      // One extra user is fetched to know if there is a next page
+      { $limit: value.limit + 1 },
+      {
+        $project: {
+          username: 1,
+          firstName: 1,
+          lastName: 1,
+          avatar: 1,
+          contact: 1,
+          prefix: 1,
+          name: 1,
+        },
+      }
+    );
+
+    const results = await User.aggregate(pipeline);
+
+    const hasMore = results.length > value.limit;
+    const page = results.slice(0, value.limit);
+    const last = page[page.length - 1];
+
+    const nextCursor = hasMore
+      ? Buffer.from(
+        JSON.stringify({
+          contact: last.contact,
+          prefix: last.prefix,
+          name: last.name,
+          id: last._id,
+        })
+      ).toString("base64url")
+      : null;
+
+    const users = page.map(({ contact, prefix, name, ...user }) => ({
+      ...user,
+      isContact: !!contact,
+    }));
+
+    return res.status(200).json(
+      success("Success", 200, {
+        users,
+        limit: value.limit,
+        hasMore,
+        nextCursor,
+      })
+    );
+  }
+
+  /**
+   * @route   GET /api/v1/users/presence
+   * @desc    Get the online status and last seen time of the inputted users (comma separated ids),
+   *          only the users who share a chat with the logged-in user are returned
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getUsersPresence(req, res) {
+    // Define Joi schema for query validation
+    const schema = Joi.array()
+      .items(
+        Joi.string()
+          .label("User ID")
+          .regex(/^[0-9a-fA-F]{24}$/)
+          .rule({ message: "Any {{#label}} is Invalid!" })
+      )
+      .min(1)
+      .max(100)
+      .unique()
+      .required();
+
+    // Validate request query with Joi schema
+    const { error, value: userIds } = schema.validate(
+      req.query.ids ? req.query.ids.split(",") : undefined
+    );
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    // Presence is only visible for the users who share a chat
+    const contactIds = await getContactIds(req.user._id);
+    const visibleIds = userIds.filter((userId) => contactIds.includes(userId));
+
+    const users = await User.find({ _id: { $in: visibleIds } }).select("lastSeen");
+    const onlineIds = await getOnlineUserIds(visibleIds);
+
+    const presence = users.map((user) => ({
+      _id: user._id,
+      online: onlineIds.includes(user._id.toString()),
+      lastSeen: user.lastSeen || null,
+    }));
+
+    return res.status(200).json(success("Success", 200, { presence }));
   }
 
   /**
@@ -309,6 +501,190 @@ class UserController {
       }
     });
   }
+
+  /**
+   * @route   POST /api/v1/users/:id/block
+   * @desc    Block a user, blocked users can't start a new chat or send messages on a one to one chat
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async blockUser(req, res) {
+    // Define Joi schema for params validation
+    const schema = Joi.string()
+      .label("User ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: userId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    if (userId === req.user._id.toString())
+      throw new AppError("User is not able to block itself", 400);
+
+    // Check if user already exists in database or not
+    let checkId = await User.findOne({ _id: userId });
+    if (!checkId) throw new AppError("User Not Found", 404);
+
+    await UserBlock.updateOne(
+      { blocker: req.user._id, blocked: userId },
+      { $setOnInsert: { blocker: req.user._id, blocked: userId } },
+      { upsert: true }
+    );
+
+    return res.status(200).json(success("User blocked successfully", 200));
+  }
+
+  /**
+   * @route   DELETE /api/v1/users/:id/block
+   * @desc    Unblock a user blocked by the logged-in user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async unblockUser(req, res) {
+    // Define Joi schema for params validation
+    const schema = Joi.string()
+      .label("User ID")
+      .required()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .rule({ message: "{{#label}} is Invalid!" });
+
+    // Validate request param with Joi schema
+    const { error, value: userId } = schema.validate(req.params.id);
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    const { deletedCount } = await UserBlock.deleteOne({
+      blocker: req.user._id,
+      blocked: userId,
+    });
+    if (!deletedCount) throw new AppError("This User is not blocked", 404);
+
+    return res.status(200).json(success("User unblocked successfully", 200));
+  }
+
+  /**
+   * @route   GET /api/v1/users/blocked
+   * @desc    Get all the users blocked by the logged-in user
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async getBlockedUsers(req, res) {
+    const blocks = await UserBlock.find({ blocker: req.user._id })
+      .populate({
+        path: "blocked",
+        select: "username firstName lastName avatar",
+      })
+      .sort({ createdAt: -1 });
+
+    const users = blocks
+      .filter((block) => block.blocked)
+      .map((block) => ({ user: block.blocked, blockedAt: block.createdAt }));
+
+    return res.status(200).json(success("Success", 200, { users }));
+  }
+
+  /**
+   * @route   POST /api/v1/users/:id/report
+   * @desc    Report a user with the reason and the referenced messages for the moderators
+   * @access  Protected
+   *
+   * @param   {Object} req - Express request object.
+   * @param   {Object} res - Express response object.
+   *
+   * @returns {void}
+   */
+
+  static async reportUser(req, res) {
+    // Define Joi schema for input validation
+    const schema = Joi.object({
+      userId: Joi.string()
+        .label("User ID")
+        .required()
+        .regex(/^[0-9a-fA-F]{24}$/)
+        .rule({ message: "{{#label}} is Invalid!" }),
+      reason: Joi.string()
+        .valid("spam", "harassment", "hate_speech", "inappropriate_content", "impersonation", "other")
+        .required(),
+      details: Joi.string().trim().max(1000).allow(""),
+      messageIds: Joi.array()
+        .items(
+          Joi.string()
+            .label("Message ID")
+            .regex(/^[0-9a-fA-F]{24}$/)
+            .rule({ message: "Any {{#label}} is Invalid!" })
+        )
+        .max(20)
+        .unique()
+        .default([]),
+    });
+
+    // Validate request param and body with Joi schema
+    const { error, value } = schema.validate({ ...req.body, userId: req.params.id });
+    if (error) {
+      // If input validation fails, throw AppError with 422 status code and validation errors
+      throw new AppError(error.details[0].message, 422);
+    }
+
+    if (value.userId === req.user._id.toString())
+      throw new AppError("User is not able to report itself", 400);
+
+    // Check if user already exists in database or not
+    let checkId = await User.findOne({ _id: value.userId });
+    if (!checkId) throw new AppError("User Not Found", 404);
+
+    // Only the messages of the reported user on the chats of the reporter can be referenced
+    const chats = await Chat.find({
+      $or: [
+        { users: { $elemMatch: { $eq: req.user._id } } },
+        { groupAdmins: { $elemMatch: { $eq: req.user._id } } },
+      ],
+    }).distinct("_id");
+
+    const messages = await Message.find({
+      _id: { $in: value.messageIds },
+      sender: value.userId,
+      chat: { $in: chats },
+    });
+    if (messages.length !== value.messageIds.length)
+      throw new AppError("Any of the reported messages is not found on database", 404);
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      reportedUser: value.userId,
+      reason: value.reason,
+      details: value.details,
+      messages: messages.map((message) => ({
+        message: message._id,
+        chat: message.chat,
+        content: message.content,
+        sentAt: message.createdAt,
+      })),
+    });
+
+    return res.status(200).json(success("User reported successfully", 200, { report }));
+  }
 }
 
 module.exports = UserController;
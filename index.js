@@ -1,19 +1,39 @@
+const http = require('http');
+const cluster = require('cluster');
 const express = require('express');
 const debug = require('debug')('app:debug');
 
 require("express-async-errors");
 require('dotenv').config();
 
-const app = express();
+// Number of the worker processes, every worker runs its own copy of the app
+const workers = parseInt(process.env.CLUSTER_WORKERS) || 0;
 
-require("./startup/logging")(debug);
-require("./startup/config")(app);
-require("./startup/db")();
-require("./startup/middlewares")(app);
-require("./startup/routers")(app);
+if (cluster.isPrimary && workers > 1) {
+    require("./startup/cluster")(workers);
+}
+else {
+    const app = express();
 
-const server = app.listen(process.env.PORT, () => {
-    debug(`Server running on http://localhost:${process.env.PORT}`);
-});
+    require("./startup/logging")(debug);
+    require("./startup/config")(app);
+    require("./startup/db")();
+    require("./startup/middlewares")(app);
+    require("./startup/routers")(app);
 
-require("./startup/websockets")(server);
\ No newline at end of file
+    // The workers of our cluster don't listen on the port, the primary process hands over the connections to them
+    const sticky = cluster.isWorker && workers > 1;
+
+    let server;
+
+    if (sticky) {
+        server = http.createServer(app);
+    }
+    else {
+        server = app.listen(process.env.PORT, () => {
+            debug(`Server running on http://localhost:${process.env.PORT}`);
+        });
+    }
+
+    require("./startup/websockets")(server, { sticky });
+}
@@ -0,0 +1,63 @@
+const jwt = require('jsonwebtoken');
+
+const Session = require("../models/Session");
+const { User } = require("../models/User");
+const AppError = require("../utils/AppError");
+
+const authenticateSocket = async (socket, next) => {
+    try {
+        // Extract token from the handshake auth payload or the Authorization header (if present)
+        const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+        // If no token is present, reject the connection
+        if (!token) throw new AppError('Unauthorized: Missing or invalid token', 401);
+
+        // Verify the token using the secret key and get the decoded payload
+        const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+
+        // Check if the session of the token is still active (not logged out or revoked)
+        const session = decoded.sid && await Session.findOne({ _id: decoded.sid, user: decoded._id });
+        if (!session || !session.isActive()) throw new AppError('Unauthorized: Session has been revoked', 401);
+
+        // Find the user associated with the token in the database
+        const user = await User.findOne({ _id: decoded._id }).select('-password');
+
+        // If no user is found, reject the connection
+        if (!user) throw new AppError('Unauthorized: User Not Found', 401);
+
+        // Suspended users are not able to use their existing sessions
+        if (user.isSuspended()) throw new AppError('Forbidden: Your account is suspended', 403);
+
+        // Set the authenticated user and token in the socket object
+        socket.user = user;
+        socket.token = token;
+        socket.session = session;
+
+        next();
+    }
+    catch (err) {
+        let statusCode = 500;
+        let message = 'Internal Server Error';
+
+        if (err instanceof jwt.TokenExpiredError) {
+            statusCode = 401;
+            message = 'Unauthorized: Token has expired';
+        }
+        else if (err instanceof jwt.JsonWebTokenError) {
+            statusCode = 401;
+            message = 'Unauthorized: Invalid token';
+        }
+        else if (err instanceof AppError) {
+            statusCode = err.statusCode;
+            message = err.message;
+        }
+
+        // Reject the connection, the client receives it through the "connect_error" event
+        const error = new Error(message);
+        error.data = { code: statusCode };
+
+        next(error);
+    }
+};
+
+module.exports = authenticateSocket;
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 
+const Session = require("../models/Session");
 const { User } = require("../models/User");
 const AppError = require("../utils/AppError");
 
@@ -16,15 +17,23 @@ const authenticateToken = async (req, res, next) => {
     // Check if the token has expired
     if (decoded.exp <= Date.now() / 1000) throw new AppError('Unauthorized: Token has expired', 401);
 
+    // Check if the session of the token is still active (not logged out or revoked)
+    const session = decoded.sid && await Session.findOne({ _id: decoded.sid, user: decoded._id });
+    if (!session || !session.isActive()) throw new AppError('Unauthorized: Session has been revoked', 401);
+
     // Find the user associated with the token in the database
     const user = await User.findOne({ _id: decoded._id }).select('-password');
 
     // If no user is found, throw an AppError with a 401 status code
     if (!user) throw new AppError('Unauthorized: User Not Found', 401);
 
+    // Suspended users are not able to use their existing sessions
+    if (user.isSuspended()) throw new AppError('Forbidden: Your account is suspended', 403);
+
     // Set the authenticated user and token in the request object
     req.user = user;
     req.token = token;
+    req.session = session;
 
     // Call the next middleware in the chain
     next();
@@ -0,0 +1,12 @@
+const AppError = require("../utils/AppError");
+
+// Only allow the authenticated users with one of the given roles, must be used after authenticateToken
+const authorizeRoles = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        throw new AppError('Forbidden: You do not have permission to access this resource', 403);
+    }
+
+    next();
+};
+
+module.exports = authorizeRoles;
@@ -18,6 +18,12 @@ module.exports = function (err, req, res, next) {
         message = "Invalid JSON data in request body";
     }
 
+    // Handle expired JWT token, the client can get a new one with its refresh token
+    else if (err instanceof jwt.TokenExpiredError) {
+        statusCode = 401;
+        message = "Unauthorized: Token has expired";
+    }
+
     // Handle errors related to JWT token verification
     else if (err instanceof jwt.JsonWebTokenError) {
         statusCode = 401;
@@ -30,6 +36,10 @@ module.exports = function (err, req, res, next) {
             statusCode = 400;
             message = `File ${err.field} upload exceeds the maximum file size limit!`;
         }
+        else if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+            statusCode = 400;
+            message = `Too many files uploaded on the ${err.field || 'request'}!`;
+        }
     }
 
     // Handle custom application errors
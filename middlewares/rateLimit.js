@@ -0,0 +1,57 @@
+const jwt = require('jsonwebtoken');
+const debug = require('debug')('app:debug');
+
+const AppError = require("../utils/AppError");
+const { isRateLimitEnabled, consume } = require("../utils/rateLimiter");
+
+// Get the user id of a valid access token, this middleware runs before the authentication of the routes
+function getTokenUserId(req) {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!token) return null;
+
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET_KEY)._id;
+    }
+    catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Limit the requests per IP address or per user (falls back to the IP address for the guests).
+ *
+ * @param   {Object} limit - Limit created by getLimit of the rate limiter.
+ * @param   {Object} options - "by" ("ip" or "user") and the HTTP "methods" to limit (all by default).
+ *
+ * @returns {Function} Express middleware.
+ */
+const rateLimit = (limit, { by = 'ip', methods } = {}) => async (req, res, next) => {
+    if (!isRateLimitEnabled() || (methods && !methods.includes(req.method))) return next();
+
+    const userId = by === 'user' && getTokenUserId(req);
+    const identifier = userId ? `user:${userId}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+        result = await consume(limit, identifier);
+    }
+    catch (err) {
+        // The requests are not blocked when the store is not available
+        debug('Rate limit error:', err);
+        return next();
+    }
+
+    const { allowed, remaining, retryAfter } = result;
+
+    res.set('X-RateLimit-Limit', limit.max);
+    res.set('X-RateLimit-Remaining', remaining);
+
+    if (!allowed) {
+        res.set('Retry-After', retryAfter);
+        throw new AppError(`Too many requests, please try again after ${retryAfter} seconds`, 429);
+    }
+
+    next();
+};
+
+module.exports = rateLimit;
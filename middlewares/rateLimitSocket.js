@@ -0,0 +1,57 @@
+const debug = require('debug')('app:debug');
+
+const { isRateLimitEnabled, getLimit, consume } = require("../utils/rateLimiter");
+
+const connectionLimit = getLimit('socket_connect', 30, 60);
+const eventLimit = getLimit('socket_events', 60, 10);
+
+// Some events are sent much more often than the others, so they get a separate limit
+const perEventLimits = {
+    typing: getLimit('socket_typing', 20, 10),
+    typingOff: getLimit('socket_typing', 20, 10),
+};
+
+// Limit the connection attempts per IP address, runs before the authentication of the socket
+const limitConnections = async (socket, next) => {
+    try {
+        if (!isRateLimitEnabled()) return next();
+
+        const { allowed, retryAfter } = await consume(connectionLimit, `ip:${socket.handshake.address}`);
+        if (allowed) return next();
+
+        // The client receives it through the "connect_error" event
+        const error = new Error(`Too many connection attempts, please try again after ${retryAfter} seconds`);
+        error.data = { code: 429, retryAfter };
+
+        next(error);
+    }
+    catch (err) {
+        // The connections are not blocked when the store is not available
+        debug('Socket rate limit error:', err);
+        next();
+    }
+};
+
+// Limit the events of the authenticated user, the dropped events are reported with the "rateLimited" event
+const limitEvents = (socket) => async ([event], next) => {
+    try {
+        if (!isRateLimitEnabled()) return next();
+
+        const userId = socket.user._id.toString();
+        const limit = perEventLimits[event] || eventLimit;
+
+        const { allowed, retryAfter } = await consume(limit, `user:${userId}`);
+        if (allowed) return next();
+
+        socket.emit('rateLimited', { event, retryAfter });
+    }
+    catch (err) {
+        debug('Socket rate limit error:', err);
+        next();
+    }
+};
+
+module.exports = {
+    limitConnections,
+    limitEvents
+};
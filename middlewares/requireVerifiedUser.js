@@ -0,0 +1,12 @@
+const AppError = require("../utils/AppError");
+
+// Block the unverified users when the REQUIRE_VERIFIED_EMAIL option is enabled
+const requireVerifiedUser = (req, res, next) => {
+    if (process.env.REQUIRE_VERIFIED_EMAIL === 'true' && !req.user.isVerified) {
+        throw new AppError('Forbidden: Please verify your email address first', 403);
+    }
+
+    next();
+};
+
+module.exports = requireVerifiedUser;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    // Admin or moderator who performed the action
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Name of the action, e.g. "user.suspend"
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ["user", "message", "report", null],
+        default: null
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    meta: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "audit_logs"
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Record an action performed through the admin API by the authenticated user of the request
+auditLogSchema.statics.record = function (req, action, { targetType = null, targetId, meta } = {}) {
+    return this.create({
+        actor: req.user._id,
+        action,
+        targetType,
+        targetId,
+        meta,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+    });
+}
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+module.exports = AuditLog;
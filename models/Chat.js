@@ -13,6 +13,12 @@ const chatSchema = new mongoose.Schema({
         type: String,
         default: "group-icon.png"
     },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: ""
+    },
     latestMessage: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Message",
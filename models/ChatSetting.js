@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Personal settings of a user for a chat, kept apart from the shared chat document
+const chatSettingSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Chat",
+        required: true
+    },
+    // The chat stays muted until this time
+    mutedUntil: {
+        type: Date,
+        default: null
+    },
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    // Pinned chats are listed on the top, the latest pinned first
+    pinnedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: "chat_settings"
+});
+
+chatSettingSchema.index({ user: 1, chat: 1 }, { unique: true });
+chatSettingSchema.index({ chat: 1, mutedUntil: 1 });
+
+// Get the ids of the users who muted the chat right now
+chatSettingSchema.statics.getMutedUserIds = async function (chatId, userIds) {
+    const settings = await this.find({
+        chat: chatId,
+        user: { $in: userIds },
+        mutedUntil: { $gt: new Date() },
+    }).select('user');
+
+    return settings.map((setting) => setting.user.toString());
+}
+
+const ChatSetting = mongoose.model("ChatSetting", chatSettingSchema);
+module.exports = ChatSetting;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const groupInviteSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Chat",
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Only the SHA-256 hash of the invite token is stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // No expiry or usage limit when not set
+    expiresAt: {
+        type: Date
+    },
+    maxUses: {
+        type: Number,
+        min: 1
+    },
+    uses: {
+        type: Number,
+        default: 0
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    collection: "group_invites"
+});
+
+groupInviteSchema.index({ chat: 1, revokedAt: 1 });
+
+groupInviteSchema.methods.isActive = function () {
+    return !this.revokedAt
+        && (!this.expiresAt || this.expiresAt > new Date())
+        && (!this.maxUses || this.uses < this.maxUses);
+}
+
+// Hide the token hash from the API responses
+groupInviteSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.tokenHash;
+        return ret;
+    }
+});
+
+const GroupInvite = mongoose.model("GroupInvite", groupInviteSchema);
+module.exports = GroupInvite;
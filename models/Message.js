@@ -1,6 +1,20 @@
 const mongoose = require("mongoose");
 
 const messageSchema = mongoose.Schema({
+    // System messages record the events of the chat like the membership changes
+    type: {
+        type: String,
+        enum: ["user", "system"],
+        default: "user"
+    },
+    systemEvent: {
+        action: String,
+        users: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        }],
+        meta: mongoose.Schema.Types.Mixed
+    },
     content: { 
         type: String,
         trim: true 
@@ -17,10 +31,132 @@ const messageSchema = mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId, 
         ref: "User"
     }],
+    // The message this one is replying to, returned as a quoted preview
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message"
+    },
+    // The root message of the thread, only set on the thread replies
+    threadRoot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Message"
+    },
+    // Users who reacted on the message grouped by the emoji
+    reactions: {
+        type: Map,
+        of: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        }],
+        default: {}
+    },
+    threadReplyCount: {
+        type: Number,
+        default: 0
+    },
+    lastThreadReplyAt: {
+        type: Date
+    },
+    // Receipts with the time each member got and read the message, readBy is kept in sync with readReceipts
+    deliveredTo: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        deliveredAt: Date,
+        _id: false
+    }],
+    readReceipts: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        readAt: Date,
+        _id: false
+    }],
+    attachments: [{
+        // Name of the stored file on the attachments storage (not public)
+        fileName: String,
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        // Name of the generated thumbnail, only for images
+        thumbnail: String
+    }],
+    editHistory: [{
+        content: String,
+        editedAt: Date,
+        _id: false
+    }],
+    editedAt: {
+        type: Date
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
 }, { 
     timestamps: true,
     collection: "messages"
 });
 
+// For paginating the messages of a chat by their creation time
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+
+// For paginating the replies of a thread
+messageSchema.index({ threadRoot: 1, createdAt: -1, _id: -1 });
+
+// For the full-text search of the messages
+messageSchema.index({ content: "text" });
+
+// Count of the reactions of each emoji and if the user is one of the reactors
+messageSchema.methods.summarizeReactions = function (userId) {
+    return [...(this.reactions || new Map()).entries()]
+        .filter(([, users]) => users.length)
+        .map(([emoji, users]) => ({
+            emoji,
+            count: users.length,
+            reacted: users.some((user) => user.toString() === userId.toString()),
+        }));
+}
+
+// Mark the matched messages (not sent by the user) as delivered to the user
+messageSchema.statics.markDelivered = function (filter, userId, deliveredAt = new Date()) {
+    return this.updateMany(
+        {
+            ...filter,
+            sender: { $ne: userId },
+            "deliveredTo.user": { $ne: userId },
+        },
+        { $push: { deliveredTo: { user: userId, deliveredAt } } },
+        { timestamps: false }
+    );
+}
+
+// Mark the matched messages (not sent by the user) as read by the user, a read message is delivered too
+messageSchema.statics.markRead = async function (filter, userId, readAt = new Date()) {
+    await this.markDelivered(filter, userId, readAt);
+
+    return this.updateMany(
+        {
+            ...filter,
+            sender: { $ne: userId },
+            readBy: { $ne: userId },
+        },
+        {
+            $addToSet: { readBy: userId },
+            $push: { readReceipts: { user: userId, readAt } },
+        },
+        { timestamps: false }
+    );
+}
+
 const Message = mongoose.model("Message", messageSchema);
 module.exports = Message;
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A started OpenID Connect login, waiting for the user to come back from the identity provider
+const oidcStateSchema = new mongoose.Schema({
+    // Only the SHA-256 hash of the state parameter is stored
+    stateHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    // PKCE code verifier, sent with the authorization code to the token endpoint
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "oidc_states"
+});
+
+// Remove the abandoned logins from the database once they are expired
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcState = mongoose.model("OidcState", oidcStateSchema);
+module.exports = OidcState;
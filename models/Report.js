@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    reportedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ["spam", "harassment", "hate_speech", "inappropriate_content", "impersonation", "other"],
+        required: true
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ""
+    },
+    // A copy of the reported messages, so they can be reviewed even if they get edited or deleted
+    messages: [{
+        message: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Message"
+        },
+        chat: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Chat"
+        },
+        content: String,
+        sentAt: Date,
+        _id: false
+    }],
+    status: {
+        type: String,
+        enum: ["open", "reviewed", "dismissed", "actioned"],
+        default: "open"
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    reviewedAt: {
+        type: Date
+    },
+    reviewNote: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true,
+    collection: "reports"
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+
+const Report = mongoose.model("Report", reportSchema);
+module.exports = Report;
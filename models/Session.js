@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Only the SHA-256 hash of the current refresh token is stored
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    userAgent: {
+        type: String,
+        default: ""
+    },
+    ip: {
+        type: String,
+        default: ""
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    collection: "sessions"
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove the sessions from the database once they are expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+}
+
+const Session = mongoose.model("Session", sessionSchema);
+module.exports = Session;
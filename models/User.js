@@ -35,16 +35,102 @@ const userSchema = new mongoose.Schema({
     avatar: { 
         type: String ,
         required: true
-    }
+    },
+    verificationEmailSentAt: {
+        type: Date
+    },
+    lastSeen: {
+        type: Date
+    },
+    // Platform wide role, the moderators and admins can access the admin API
+    role: {
+        type: String,
+        enum: ["user", "moderator", "admin"],
+        default: "user"
+    },
+    // A suspended user can't login or use the API until unsuspended or the suspension ends
+    suspendedAt: {
+        type: Date
+    },
+    suspendedUntil: {
+        type: Date
+    },
+    suspensionReason: {
+        type: String
+    },
+    // Consecutive failed logins, the account gets locked for longer on every failure after the limit
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date
+    },
+    // Set when the user reports a login as not theirs, the user can't login until the password is reset
+    passwordResetRequired: {
+        type: Boolean,
+        default: false
+    },
+    // Last use of a "this wasn't me" link, it is a part of the secret of the links so every link works only once
+    secureAccountUsedAt: {
+        type: Date
+    },
+    // Two-factor authentication, the secrets are never selected unless asked for explicitly
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Secret of an enrollment which is not confirmed with a code yet
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    // Hashes of the unused backup codes
+    twoFactorBackupCodes: {
+        type: [String],
+        select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    twoFactorLastStep: {
+        type: Number,
+        select: false
+    },
+    // Accounts of the OpenID Connect identity providers linked to the user
+    identities: [{
+        _id: false,
+        issuer: {
+            type: String,
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        },
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, {
     timestamps: true,
     collection: "users"
 });
 
-userSchema.methods.generateAuthToken = async function () {
+// An identity is linked to one user only, the users without any identity are not a part of the index
+userSchema.index(
+    { "identities.issuer": 1, "identities.subject": 1 },
+    { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
+userSchema.methods.generateAuthToken = async function (sessionId) {
     const token = jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             username: this.username,
             firstName: this.firstName,
             lastName: this.lastName,
@@ -53,11 +139,63 @@ userSchema.methods.generateAuthToken = async function () {
             avatar: this.avatar,
         },
         process.env.JWT_SECRET_KEY,
-        { expiresIn: '5d' }
+        { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
     );
     return token;
 }
 
+userSchema.methods.isSuspended = function () {
+    return !!this.suspendedAt && (!this.suspendedUntil || this.suspendedUntil > new Date());
+}
+
+userSchema.methods.isLocked = function () {
+    return !!this.lockedUntil && this.lockedUntil > new Date();
+}
+
+userSchema.methods.getSecureAccountSecret = function () {
+    return `${this._id}${process.env.JWT_SECRET_KEY}${this.secureAccountUsedAt?.getTime() || 0}`;
+}
+
+userSchema.methods.generateSecureAccountToken = function () {
+    return jwt.sign(
+        {
+            email: this.email,
+            purpose: "secure-account",
+        },
+        this.getSecureAccountSecret(),
+        { expiresIn: '1h' }
+    );
+}
+
+// Short-lived token of a login which passed the password step and waits for the two-factor code
+userSchema.methods.generateTwoFactorChallengeToken = function () {
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "2fa-challenge",
+        },
+        process.env.JWT_SECRET_KEY,
+        { expiresIn: '5m' }
+    );
+}
+
+userSchema.methods.generateEmailVerificationToken = function () {
+    // Signed with the secret of the user (like the password reset links) so it is never accepted as an access token,
+    // the email is part of the token so it gets invalid once the user changes the email
+    return jwt.sign(
+        {
+            email: this.email,
+            purpose: "verify-email",
+        },
+        this._id + process.env.JWT_SECRET_KEY,
+        { expiresIn: '1d' }
+    );
+}
+
+// Fields of a user which are shared with the other users (e.g. the members of the chats), the security fields
+// (login locks, identities, two-factor secrets, ...) are never a part of it
+const PUBLIC_USER_FIELDS = "username firstName lastName avatar email lastSeen";
+
 const User = mongoose.model('User', userSchema);
 
 function validate(user) {
@@ -81,5 +219,6 @@ function validate(user) {
 
 module.exports = {
     User,
-    validate
+    validate,
+    PUBLIC_USER_FIELDS
 }
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const userBlockSchema = new mongoose.Schema({
+    // User who blocked
+    blocker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // User who is blocked
+    blocked: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: "user_blocks"
+});
+
+userBlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+userBlockSchema.index({ blocked: 1 });
+
+// Check if any of the two users blocked the other one
+userBlockSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+    const block = await this.exists({
+        $or: [
+            { blocker: userId, blocked: otherUserId },
+            { blocker: otherUserId, blocked: userId }
+        ]
+    });
+
+    return !!block;
+}
+
+const UserBlock = mongoose.model("UserBlock", userBlockSchema);
+module.exports = UserBlock;
@@ -0,0 +1,25 @@
+const router = require("express").Router();
+
+const authorizeRoles = require("../../middlewares/authorizeRoles");
+const authenticateToken = require("../../middlewares/authenticateToken");
+
+const AdminController = require("../../controllers/adminController");
+
+// Admin and Moderator Routes
+router.use(authenticateToken, authorizeRoles("admin", "moderator"));
+
+router.get("/users", AdminController.getUsers);
+router.get("/users/:id", AdminController.getUser);
+router.put("/users/:id/suspend", AdminController.suspendUser);
+router.put("/users/:id/unsuspend", AdminController.unsuspendUser);
+router.post("/users/:id/logout", AdminController.forceLogoutUser);
+router.delete("/messages/:id", AdminController.deleteMessage);
+router.get("/reports", AdminController.getReports);
+router.get("/reports/:id", AdminController.getReport);
+router.put("/reports/:id", AdminController.reviewReport);
+
+// Admin Only Routes
+router.put("/users/:id/role", authorizeRoles("admin"), AdminController.updateUserRole);
+router.get("/audit-logs", authorizeRoles("admin"), AdminController.getAuditLogs);
+
+module.exports = router;
@@ -1,13 +1,32 @@
 const router = require("express").Router();
 
+const authenticateToken = require("../../middlewares/authenticateToken");
+
 const AuthController = require("../../controllers/authController");
 
 // Protected Routes
 router.post("/reset-password", AuthController.resetPassword);
 router.post("/forgot-password", AuthController.sendUserPasswordResetEmail);
+router.post("/resend-verification", authenticateToken, AuthController.resendVerificationEmail);
+router.post("/logout", authenticateToken, AuthController.logoutUser);
+router.post("/logout-all", authenticateToken, AuthController.logoutAllSessions);
+router.get("/sessions", authenticateToken, AuthController.getActiveSessions);
+router.delete("/sessions/:id", authenticateToken, AuthController.revokeSession);
+router.post("/2fa/setup", authenticateToken, AuthController.setupTwoFactor);
+router.post("/2fa/confirm", authenticateToken, AuthController.confirmTwoFactor);
+router.post("/2fa/disable", authenticateToken, AuthController.disableTwoFactor);
+router.post("/2fa/backup-codes", authenticateToken, AuthController.regenerateBackupCodes);
 
 // Public Routes
 router.post("/login", AuthController.loginUser);
+router.post("/login/2fa", AuthController.verifyTwoFactorLogin);
+router.get("/oidc/authorize", AuthController.getOidcAuthorizationUrl);
+router.post("/oidc/callback", AuthController.oidcCallback);
 router.post("/register", AuthController.registerUser);
+router.post("/refresh", AuthController.refreshToken);
+router.get("/verify-email", AuthController.verifyEmail);
+router.post("/verify-email", AuthController.verifyEmail);
+router.get("/secure-account", AuthController.secureAccount);
+router.post("/secure-account", AuthController.secureAccount);
 
 module.exports = router;
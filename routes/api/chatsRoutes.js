@@ -1,17 +1,28 @@
 const router = require('express').Router();
 
 const authenticateToken = require('../../middlewares/authenticateToken');
+const requireVerifiedUser = require('../../middlewares/requireVerifiedUser');
 
 const ChatController = require("../../controllers/chatController");
 
 router.get('/', authenticateToken, ChatController.getAllChats);
-router.post('/', authenticateToken, ChatController.getOrCreateChat);
+router.post('/', authenticateToken, requireVerifiedUser, ChatController.getOrCreateChat);
+router.put('/:id/settings', authenticateToken, ChatController.updateChatSettings);
 
-router.post('/group', authenticateToken, ChatController.createGroupChat);
+router.post('/group', authenticateToken, requireVerifiedUser, ChatController.createGroupChat);
 router.put('/group/add-member', authenticateToken, ChatController.addtoGroup);
 router.put('/group/rename', authenticateToken, ChatController.renameGroupChat);
+router.put('/group/description', authenticateToken, ChatController.updateGroupDescription);
+router.put('/group/icon', authenticateToken, ChatController.updateGroupIcon);
 router.put('/group/users', authenticateToken, ChatController.updateGroupUsers);
 router.put('/group/admins', authenticateToken, ChatController.updateAdminUsers);
 router.put('/group/remove-member', authenticateToken, ChatController.removeFromGroup);
+router.post('/group/:id/leave', authenticateToken, ChatController.leaveGroup);
+router.delete('/group/:id', authenticateToken, ChatController.deleteGroup);
+router.post('/group/:id/invites', authenticateToken, ChatController.createGroupInvite);
+router.get('/group/:id/invites', authenticateToken, ChatController.getGroupInvites);
+router.delete('/group/:id/invites/:inviteId', authenticateToken, ChatController.revokeGroupInvite);
+
+router.post('/join/:token', authenticateToken, ChatController.joinGroupWithInvite);
 
 module.exports = router;
\ No newline at end of file
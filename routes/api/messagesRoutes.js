@@ -1,11 +1,23 @@
 const router = require("express").Router();
 
 const authenticateToken = require("../../middlewares/authenticateToken");
+const requireVerifiedUser = require("../../middlewares/requireVerifiedUser");
+const { uploadAttachments } = require("../../utils/attachments");
 
 const MessageController = require("../../controllers/messageController");
 
 router.get("/", authenticateToken, MessageController.getAllMessages);
-router.post("/", authenticateToken, MessageController.sendMessage);
+router.get("/search", authenticateToken, MessageController.searchMessages);
+router.post("/", authenticateToken, requireVerifiedUser, uploadAttachments, MessageController.sendMessage);
 router.put("/readBy", authenticateToken, MessageController.updateReadBy);
+router.put("/read", authenticateToken, MessageController.markChatAsRead);
+router.put("/delivered", authenticateToken, MessageController.markChatAsDelivered);
+router.get("/:id/thread", authenticateToken, MessageController.getThread);
+router.post("/:id/reactions", authenticateToken, MessageController.addReaction);
+router.delete("/:id/reactions/:emoji", authenticateToken, MessageController.removeReaction);
+router.get("/:id/receipts", authenticateToken, MessageController.getMessageReceipts);
+router.get("/:id/attachments/:attachmentId", authenticateToken, MessageController.downloadAttachment);
+router.patch("/:id", authenticateToken, MessageController.editMessage);
+router.delete("/:id", authenticateToken, MessageController.deleteMessage);
 
 module.exports = router;
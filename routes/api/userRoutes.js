@@ -9,7 +9,12 @@ router.get("/", authenticateToken, UserController.getAllUsers);
 router.put("/", authenticateToken, UserController.updateUserProfile);
 router.put("/avatar", authenticateToken, UserController.updateUserAvatar);
 router.get("/loggedin", authenticateToken, UserController.getLoggedInUser);
+router.get("/presence", authenticateToken, UserController.getUsersPresence);
 router.post("/change-password", authenticateToken, UserController.changePassword);
+router.get("/blocked", authenticateToken, UserController.getBlockedUsers);
+router.post("/:id/block", authenticateToken, UserController.blockUser);
+router.delete("/:id/block", authenticateToken, UserController.unblockUser);
+router.post("/:id/report", authenticateToken, UserController.reportUser);
 
 // Public Routes
 router.get("/:id", UserController.checkUserExists);
@@ -0,0 +1,325 @@
+// Check the refresh token rotation, the lock of the failed logins and the two-factor login, without a database:
+// the queries of the users and the sessions run against in-memory documents. Usage: npm test
+const crypto = require('crypto');
+const assert = require('assert');
+const bcrypt = require('bcrypt');
+const { test, before, beforeEach } = require('node:test');
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || crypto.randomBytes(32).toString('hex');
+process.env.MAX_LOGIN_ATTEMPTS = '3';
+delete process.env.REDIS_URL;
+
+const PASSWORD = 'correct-password';
+
+// The sent emails, instead of sending them
+const sentEmails = [];
+const mailPath = require.resolve('../utils/mail');
+require.cache[mailPath] = {
+    id: mailPath,
+    filename: mailPath,
+    loaded: true,
+    exports: async (email, subject) => sentEmails.push({ email, subject }),
+};
+
+const totp = require('../utils/totp');
+const { hashToken } = require('../utils');
+const Session = require('../models/Session');
+const { User } = require('../models/User');
+const AuthController = require('../controllers/authController');
+
+// Copy the stored values, the ObjectIds are immutable so they are kept
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value);
+    if (value && typeof value === 'object' && !value._bsontype)
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+
+    return value;
+}
+
+function isEqual(a, b) {
+    return String(a) === String(b);
+}
+
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        const value = doc[key];
+
+        if (condition === null) return value == null;
+        if (condition && typeof condition === 'object' && !condition._bsontype && !(condition instanceof Date)) {
+            if ('$in' in condition) return condition.$in.some((item) => isEqual(item, value));
+            if ('$gt' in condition) return value > condition.$gt;
+            throw new Error(`Unsupported condition of "${key}"`);
+        }
+
+        return Array.isArray(value) ? value.some((item) => isEqual(item, condition)) : isEqual(value, condition);
+    });
+}
+
+function applyUpdate(doc, update) {
+    Object.entries(update).forEach(([key, value]) => {
+        if (key === '$set') Object.assign(doc, clone(value));
+        else if (key === '$inc') Object.entries(value).forEach(([field, amount]) => doc[field] = (doc[field] || 0) + amount);
+        else if (key === '$unset') Object.keys(value).forEach((field) => delete doc[field]);
+        else if (key === '$pull') Object.entries(value).forEach(([field, item]) => {
+            doc[field] = (doc[field] || []).filter((stored) => !isEqual(stored, item));
+        });
+        else doc[key] = clone(value);
+    });
+}
+
+// A query which resolves to the given result, like the chainable queries of mongoose
+function query(result) {
+    return {
+        select() {
+            return this;
+        },
+        then(resolve, reject) {
+            return Promise.resolve(result).then(resolve, reject);
+        },
+    };
+}
+
+// Replace the queries of the model, the documents are stored as plain objects and every read returns a new
+// document (like the documents read from the database), the updates are applied at once so they are atomic
+function mockModel(Model) {
+    const docs = [];
+    const hydrate = (doc) => doc ? Model.hydrate(clone(doc)) : null;
+
+    Model.findOne = (filter) => query(hydrate(docs.find((doc) => matches(doc, filter))));
+    Model.findById = (id) => Model.findOne({ _id: id });
+    Model.find = (filter) => query(docs.filter((doc) => matches(doc, filter)).map(hydrate));
+
+    Model.findOneAndUpdate = (filter, update) => {
+        const doc = docs.find((doc) => matches(doc, filter));
+        if (doc) applyUpdate(doc, update);
+
+        return query(hydrate(doc));
+    };
+    Model.findByIdAndUpdate = (id, update) => Model.findOneAndUpdate({ _id: id }, update);
+
+    Model.updateOne = (filter, update) => {
+        const doc = docs.find((doc) => matches(doc, filter));
+        if (doc) applyUpdate(doc, update);
+
+        return query({ modifiedCount: doc ? 1 : 0 });
+    };
+    Model.updateMany = (filter, update) => {
+        const matched = docs.filter((doc) => matches(doc, filter));
+        matched.forEach((doc) => applyUpdate(doc, update));
+
+        return query({ modifiedCount: matched.length });
+    };
+
+    Model.prototype.save = async function () {
+        docs.push(clone(this.toObject()));
+        return this;
+    };
+
+    return {
+        docs,
+        insert: (fields) => {
+            const doc = clone(new Model(fields).toObject());
+            docs.push(doc);
+            return doc;
+        },
+        get: (id) => docs.find((doc) => isEqual(doc._id, id)),
+    };
+}
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        status(statusCode) {
+            this.statusCode = statusCode;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+    };
+}
+
+function mockRequest(body = {}) {
+    return { body, query: {}, ip: '127.0.0.1', get: () => 'auth-check' };
+}
+
+async function call(handler, body) {
+    const res = mockResponse();
+    await handler(mockRequest(body), res);
+
+    return res;
+}
+
+async function assertRejected(promise, statusCode, message) {
+    await assert.rejects(promise, (error) => {
+        assert.strictEqual(error.statusCode, statusCode);
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+// The security emails are sent in the background, without delaying the response
+async function waitForEmails(count) {
+    for (let i = 0; i < 100 && sentEmails.length < count; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+let users, sessions, passwordHash;
+
+function createUser(fields = {}) {
+    return users.insert({
+        username: `user${crypto.randomInt(100000)}`,
+        firstName: 'Auth',
+        lastName: 'Check',
+        email: `${crypto.randomBytes(6).toString('hex')}@example.com`,
+        password: passwordHash,
+        ...fields,
+    });
+}
+
+async function login(user, password = PASSWORD) {
+    return call(AuthController.loginUser, { email: user.email, password });
+}
+
+before(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(() => {
+    users = mockModel(User);
+    sessions = mockModel(Session);
+    sentEmails.length = 0;
+});
+
+test('rotates the refresh token and revokes the session when a rotated token is reused', async () => {
+    const user = createUser();
+    const { refreshToken } = (await login(user)).body.result;
+
+    const rotated = await call(AuthController.refreshToken, { refreshToken });
+    assert.strictEqual(rotated.statusCode, 200);
+    assert.notStrictEqual(rotated.body.result.refreshToken, refreshToken);
+
+    await assertRejected(call(AuthController.refreshToken, { refreshToken }), 401, /revoked/);
+
+    // The stolen token revokes the session, so the new refresh token doesn't work either
+    const [session] = sessions.docs;
+    assert.ok(session.revokedAt);
+    await assertRejected(
+        call(AuthController.refreshToken, { refreshToken: rotated.body.result.refreshToken }),
+        401,
+        /revoked/
+    );
+});
+
+test('rotates the same refresh token only once for the concurrent requests', async () => {
+    const user = createUser();
+    const { refreshToken } = (await login(user)).body.result;
+
+    const results = await Promise.allSettled([
+        call(AuthController.refreshToken, { refreshToken }),
+        call(AuthController.refreshToken, { refreshToken }),
+    ]);
+
+    assert.strictEqual(results.filter((result) => result.status === 'fulfilled').length, 1);
+    assert.strictEqual(results.find((result) => result.status === 'rejected').reason.statusCode, 401);
+    assert.ok(sessions.docs[0].revokedAt);
+});
+
+test('locks the account after the failed logins without revealing the lock', async () => {
+    const user = createUser();
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        await assertRejected(login(user, 'wrong-password'), 400, /Invalid email or password/);
+    }
+
+    assert.ok(users.get(user._id).lockedUntil > new Date());
+
+    await waitForEmails(1);
+    assert.deepStrictEqual(sentEmails.map((email) => email.subject), ['Your Account Is Temporarily Locked']);
+
+    // The locked account responds like a wrong password, and like an unregistered email
+    await assertRejected(login(user), 400, /Invalid email or password/);
+    await assertRejected(login({ email: 'unknown@example.com' }), 400, /Invalid email or password/);
+
+    // The login works again once the lock is over, and resets the failed logins
+    users.get(user._id).lockedUntil = new Date(Date.now() - 1000);
+
+    const res = await login(user);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(users.get(user._id).failedLoginAttempts, 0);
+    assert.strictEqual(users.get(user._id).lockedUntil, undefined);
+});
+
+test('starts the session of a two-factor login only with a valid code', async () => {
+    const secret = totp.generateSecret();
+    const backupCode = 'abcd-efgh-ijkl';
+    const user = createUser({
+        twoFactorEnabled: true,
+        twoFactorSecret: secret,
+        twoFactorBackupCodes: [hashToken('abcdefghijkl')],
+    });
+
+    const { result } = (await login(user)).body;
+    assert.strictEqual(result.twoFactorRequired, true);
+    assert.strictEqual(result.token, undefined);
+    assert.strictEqual(sessions.docs.length, 0);
+
+    const { challengeToken } = result;
+
+    const code = totp.generateCode(secret);
+    const wrongCode = String((Number(code) + 500000) % 1000000).padStart(totp.DIGITS, '0');
+
+    // The wrong codes are counted as the failed logins
+    await assertRejected(
+        call(AuthController.verifyTwoFactorLogin, { challengeToken, code: wrongCode }),
+        400,
+        /Invalid authentication code/
+    );
+    assert.strictEqual(users.get(user._id).failedLoginAttempts, 1);
+
+    const res = await call(AuthController.verifyTwoFactorLogin, { challengeToken, code });
+    assert.strictEqual(res.statusCode, 200);
+    assert.ok(res.body.result.token && res.body.result.refreshToken);
+    assert.strictEqual(sessions.docs.length, 1);
+
+    // The same code can't be replayed
+    await assertRejected(
+        call(AuthController.verifyTwoFactorLogin, { challengeToken, code }),
+        400,
+        /Invalid authentication code/
+    );
+
+    // A backup code works once
+    const backup = await call(AuthController.verifyTwoFactorLogin, { challengeToken, code: backupCode });
+    assert.strictEqual(backup.statusCode, 200);
+    await assertRejected(
+        call(AuthController.verifyTwoFactorLogin, { challengeToken, code: backupCode }),
+        400,
+        /Invalid authentication code/
+    );
+});
+
+test('rejects the two-factor step once a password reset is required', async () => {
+    const secret = totp.generateSecret();
+    const user = createUser({ twoFactorEnabled: true, twoFactorSecret: secret });
+
+    const { challengeToken } = (await login(user)).body.result;
+
+    // e.g. the user reported the login with the "this wasn't me" link in the meantime
+    users.get(user._id).passwordResetRequired = true;
+
+    await assertRejected(
+        call(AuthController.verifyTwoFactorLogin, { challengeToken, code: totp.generateCode(secret) }),
+        403,
+        /password must be reset/
+    );
+    assert.strictEqual(sessions.docs.length, 0);
+});
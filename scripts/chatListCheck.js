@@ -0,0 +1,109 @@
+// Check that the chat list never shares the private fields of the members (two-factor secrets, login locks, ...),
+// without a database: the user lookups of the aggregation are run against in-memory documents. Usage: npm test
+const assert = require('assert');
+const { test, before } = require('node:test');
+
+// Fields of a user which must never reach the other users
+const PRIVATE_FIELDS = /^(password|twoFactor.*|failedLoginAttempts|lockedUntil|secureAccountUsedAt|identities|role|suspension.*|suspended.*)$/;
+
+function createUser(_id, username) {
+    return {
+        _id,
+        username,
+        firstName: username,
+        lastName: 'Member',
+        email: `${username}@example.com`,
+        avatar: 'default-avatar.png',
+        lastSeen: new Date(),
+        password: 'hashed-password',
+        role: 'user',
+        failedLoginAttempts: 3,
+        lockedUntil: new Date(),
+        secureAccountUsedAt: new Date(),
+        identities: [{ issuer: 'https://idp.example.com', subject: username }],
+        twoFactorEnabled: true,
+        twoFactorSecret: 'JBSWY3DPEHPK3PXP',
+        twoFactorPendingSecret: 'JBSWY3DPEHPK3PXQ',
+        twoFactorBackupCodes: ['hashed-backup-code'],
+        twoFactorLastStep: 1,
+    };
+}
+
+const collections = {
+    users: [createUser('u1', 'alice'), createUser('u2', 'bob'), createUser('u3', 'carol')],
+    messages: [{ _id: 'm1', chat: 'c1', sender: 'u2', content: 'Hello', readBy: [] }],
+    chat_settings: [],
+};
+
+const chats = [{ _id: 'c1', isGroupChat: true, users: ['u1', 'u3'], groupAdmins: ['u2'], latestMessage: 'm1' }];
+
+function omit(doc, [key, ...path]) {
+    if (Array.isArray(doc)) return doc.map((item) => omit(item, [key, ...path]));
+    if (!doc || typeof doc !== 'object' || !(key in doc)) return doc;
+
+    const { [key]: value, ...others } = doc;
+    return path.length ? { ...others, [key]: omit(value, path) } : others;
+}
+
+function project(doc, projection) {
+    const inclusion = Object.values(projection).some(Boolean);
+    if (inclusion) return Object.fromEntries(Object.entries(doc).filter(([key]) => key === '_id' || projection[key]));
+
+    return Object.keys(projection).reduce((doc, path) => omit(doc, path.split('.')), doc);
+}
+
+// Run the $lookup (with their sub-pipelines) and the $project stages, the other stages only filter, sort or
+// reshape the chats, so they are skipped
+function runStages(stages, docs) {
+    return docs.map((doc) => stages.reduce((doc, stage) => {
+        if (stage.$lookup) {
+            const { from, localField, foreignField, as, pipeline = [] } = stage.$lookup;
+            const values = [].concat(doc[localField] ?? []).map(String);
+            const joined = collections[from].filter((item) => values.includes(String(item[foreignField])));
+
+            return { ...doc, [as]: runStages(pipeline, joined) };
+        }
+
+        if (stage.$project) return project(doc, stage.$project);
+
+        return doc;
+    }, doc));
+}
+
+function collectKeys(value, keys = new Set()) {
+    if (Array.isArray(value)) value.forEach((item) => collectKeys(item, keys));
+    else if (value && typeof value === 'object' && !(value instanceof Date)) {
+        Object.entries(value).forEach(([key, item]) => {
+            keys.add(key);
+            collectKeys(item, keys);
+        });
+    }
+
+    return keys;
+}
+
+let ChatController;
+
+before(() => {
+    ChatController = require('../controllers/chatController');
+
+    const Chat = require('../models/Chat');
+    Chat.aggregate = async (pipeline) => runStages(pipeline, chats);
+});
+
+test('the chat list only has the public fields of the members', async () => {
+    let body;
+    const res = {
+        status: () => res,
+        json: (json) => body = json,
+    };
+
+    await ChatController.getAllChats({ query: {}, user: { _id: 'u1' } }, res);
+
+    const [chat] = body.result.chats;
+    assert.deepStrictEqual(chat.users.map((user) => user.username), ['alice', 'carol']);
+    assert.deepStrictEqual(chat.groupAdmins.map((user) => user.username), ['bob']);
+
+    const privateKeys = [...collectKeys(body)].filter((key) => PRIVATE_FIELDS.test(key));
+    assert.deepStrictEqual(privateKeys, []);
+});
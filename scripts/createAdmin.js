@@ -0,0 +1,32 @@
+// Promote a registered user to the platform admin, e.g. the first admin who grants the other roles
+// through the admin routes. Usage: npm run create-admin -- user@example.com
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { User } = require('../models/User');
+
+async function createAdmin(email) {
+    if (!email) throw new Error('Usage: npm run create-admin -- <email of a registered user>');
+
+    mongoose.set('strictQuery', true);
+    await mongoose.connect(process.env.CONNECTION_STRING);
+
+    try {
+        const user = await User.findOneAndUpdate(
+            { email },
+            { role: 'admin' },
+            { new: true }
+        );
+        if (!user) throw new Error(`No user is registered with the email "${email}"`);
+
+        console.log(`${user.username} (${user.email}) is now an admin`);
+    }
+    finally {
+        await mongoose.disconnect();
+    }
+}
+
+createAdmin(process.argv[2]).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,283 @@
+// Check the OpenID Connect login against a local mock identity provider (discovery, JWKS, authorize and token
+// endpoints), without a database: the stored logins are kept in memory and the user is a linked user with
+// two-factor authentication, so the callback stops right before starting a session. Usage: npm run test:oidc
+const http = require('http');
+const crypto = require('crypto');
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const { test, before, after } = require('node:test');
+
+const { hashToken } = require('../utils');
+
+const CLIENT_ID = 'chat-app';
+const REDIRECT_URI = 'http://localhost:3005/oidc/callback';
+
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || crypto.randomBytes(32).toString('hex');
+process.env.OIDC_CLIENT_ID = CLIENT_ID;
+process.env.OIDC_CLIENT_SECRET = 'chat-app-secret';
+process.env.OIDC_REDIRECT_URI = REDIRECT_URI;
+delete process.env.REDIS_URL;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'mock-key', use: 'sig', alg: 'RS256' };
+
+// Authorization codes issued by the mock provider, every code can only be exchanged once
+const codes = new Map();
+
+// Claims of the next ID token to override, e.g. a wrong audience
+let claimsOverride = {};
+
+let server;
+let issuer;
+
+function sendJSON(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => resolve(new URLSearchParams(body)));
+    });
+}
+
+async function handleToken(req, res) {
+    const body = await readBody(req);
+    const login = codes.get(body.get('code'));
+    codes.delete(body.get('code'));
+
+    const [clientId, clientSecret] = Buffer.from((req.headers.authorization || '').replace('Basic ', ''), 'base64')
+        .toString()
+        .split(':')
+        .map(decodeURIComponent);
+
+    if (clientId !== CLIENT_ID || clientSecret !== process.env.OIDC_CLIENT_SECRET)
+        return sendJSON(res, 401, { error: 'invalid_client' });
+
+    if (!login || body.get('redirect_uri') !== login.redirectUri)
+        return sendJSON(res, 400, { error: 'invalid_grant' });
+
+    // PKCE (S256), the verifier must hash to the challenge of the authorization request
+    const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+    if (login.codeChallengeMethod !== 'S256' || challenge !== login.codeChallenge)
+        return sendJSON(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+
+    const idToken = jwt.sign(
+        {
+            iss: issuer,
+            aud: CLIENT_ID,
+            sub: 'mock-subject',
+            nonce: login.nonce,
+            email: 'oidc@example.com',
+            email_verified: true,
+            name: 'Mock User',
+            ...claimsOverride,
+        },
+        privateKey,
+        { algorithm: 'RS256', keyid: jwk.kid, expiresIn: '5m' }
+    );
+
+    sendJSON(res, 200, { id_token: idToken, access_token: 'mock-access-token', token_type: 'Bearer' });
+}
+
+function handleRequest(req, res) {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+        return sendJSON(res, 200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            token_endpoint_auth_methods_supported: ['client_secret_basic'],
+        });
+    }
+
+    if (url.pathname === '/jwks') return sendJSON(res, 200, { keys: [jwk] });
+
+    // The user is logged in right away and redirected back with the code
+    if (url.pathname === '/authorize') {
+        const params = url.searchParams;
+        const code = crypto.randomBytes(16).toString('hex');
+
+        codes.set(code, {
+            redirectUri: params.get('redirect_uri'),
+            nonce: params.get('nonce'),
+            codeChallenge: params.get('code_challenge'),
+            codeChallengeMethod: params.get('code_challenge_method'),
+        });
+
+        const redirect = new URL(params.get('redirect_uri'));
+        redirect.searchParams.set('code', code);
+        redirect.searchParams.set('state', params.get('state'));
+
+        res.writeHead(302, { Location: redirect.toString() });
+        return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') return handleToken(req, res);
+
+    sendJSON(res, 404, { error: 'not_found' });
+}
+
+// Required once the environment is ready
+let AuthController, OidcState, User;
+
+// The started logins, by the hash of their state
+const states = new Map();
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        status(statusCode) {
+            this.statusCode = statusCode;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+    };
+}
+
+function mockRequest(body = {}) {
+    return { body, ip: '127.0.0.1', get: () => 'oidc-mock-check' };
+}
+
+// Start a login like the frontend: get the authorization url and follow it to the redirect uri
+async function startLogin() {
+    const res = mockResponse();
+    await AuthController.getOidcAuthorizationUrl(mockRequest(), res);
+
+    const authorizationUrl = new URL(res.body.result.authorizationUrl);
+    assert.strictEqual(authorizationUrl.searchParams.get('code_challenge_method'), 'S256');
+
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const redirect = new URL(response.headers.get('location'));
+
+    return { code: redirect.searchParams.get('code'), state: redirect.searchParams.get('state') };
+}
+
+async function completeLogin(callback) {
+    const res = mockResponse();
+    await AuthController.oidcCallback(mockRequest(callback), res);
+
+    return res;
+}
+
+async function assertRejected(promise, statusCode, message) {
+    await assert.rejects(promise, (error) => {
+        assert.strictEqual(error.statusCode, statusCode);
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+}
+
+before(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    issuer = `http://127.0.0.1:${server.address().port}`;
+    process.env.OIDC_ISSUER = issuer;
+
+    AuthController = require('../controllers/authController');
+    OidcState = require('../models/OidcState');
+    ({ User } = require('../models/User'));
+
+    OidcState.create = async (login) => states.set(login.stateHash, login);
+    OidcState.findOneAndDelete = async ({ stateHash }) => {
+        const login = states.get(stateHash);
+        states.delete(stateHash);
+        return login || null;
+    };
+
+    // The identity is already linked to a user with two-factor authentication
+    const user = new User({
+        username: 'oidcuser',
+        firstName: 'Mock',
+        lastName: 'User',
+        email: 'oidc@example.com',
+        password: 'not-used',
+        twoFactorEnabled: true,
+        identities: [{ issuer, subject: 'mock-subject' }],
+    });
+
+    User.findOne = async (query) => {
+        const identity = query.identities?.$elemMatch;
+        return identity?.issuer === issuer && identity.subject === 'mock-subject' ? user : null;
+    };
+});
+
+after(() => {
+    server.close();
+});
+
+test('completes the login with PKCE', async () => {
+    const res = await completeLogin(await startLogin());
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.result.twoFactorRequired, true);
+});
+
+test('rejects a code verifier which does not match the code challenge', async () => {
+    const callback = await startLogin();
+
+    const login = states.get(hashToken(callback.state));
+    assert.ok(login, 'the login is stored by the hash of its state');
+    login.codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+    await assertRejected(completeLogin(callback), 401, /invalid/);
+});
+
+test('rejects a reused state', async () => {
+    const callback = await startLogin();
+    await completeLogin(callback);
+
+    await assertRejected(completeLogin(callback), 401, /expired/);
+});
+
+test('rejects an unknown state', async () => {
+    const { code } = await startLogin();
+
+    await assertRejected(completeLogin({ code, state: 'unknown-state' }), 401, /expired/);
+});
+
+test('rejects an ID token with another nonce', async () => {
+    claimsOverride = { nonce: 'another-nonce' };
+
+    try {
+        await assertRejected(completeLogin(await startLogin()), 401, /invalid/);
+    }
+    finally {
+        claimsOverride = {};
+    }
+});
+
+test('rejects an ID token for another audience', async () => {
+    claimsOverride = { aud: 'another-client' };
+
+    try {
+        await assertRejected(completeLogin(await startLogin()), 401, /invalid/);
+    }
+    finally {
+        claimsOverride = {};
+    }
+});
+
+test('rejects an ID token of another issuer', async () => {
+    claimsOverride = { iss: 'https://another-issuer.example.com' };
+
+    try {
+        await assertRejected(completeLogin(await startLogin()), 401, /invalid/);
+    }
+    finally {
+        claimsOverride = {};
+    }
+});
@@ -0,0 +1,28 @@
+const http = require('http');
+const cluster = require('cluster');
+const debug = require('debug')('app:debug');
+const { setupMaster } = require('@socket.io/sticky');
+
+module.exports = function (workers) {
+    const server = http.createServer();
+
+    // The primary process accepts the connections and hands them over to the workers,
+    // the requests of the same socket.io session always go to the same worker (required by the polling transport)
+    setupMaster(server, {
+        loadBalancingMethod: 'least-connection'
+    });
+
+    server.listen(process.env.PORT, () => {
+        debug(`Server running on http://localhost:${process.env.PORT} with ${workers} workers`);
+    });
+
+    for (let i = 0; i < workers; i++) {
+        cluster.fork();
+    }
+
+    // Replace the workers which are crashed
+    cluster.on('exit', (worker, code, signal) => {
+        debug(`Worker ${worker.process.pid} died (${signal || code}), starting a new one`);
+        cluster.fork();
+    });
+}
@@ -1,4 +1,13 @@
 module.exports = function(app) {
     // Setting EJS as a templete engine
     app.set('view engine', 'ejs');
+
+    // Behind a load balancer or reverse proxy, the client IP address (used by the rate limiter) is taken from X-Forwarded-For
+    if (process.env.TRUST_PROXY) {
+        const trustProxy = process.env.TRUST_PROXY;
+
+        // Either the number of the proxies, true for all of them, or a list of the trusted addresses
+        if (/^\d+$/.test(trustProxy)) app.set('trust proxy', parseInt(trustProxy));
+        else app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+    }
 }
\ No newline at end of file
@@ -3,6 +3,9 @@ const morgan = require('morgan');
 const helmet = require('helmet');
 const cors = require('cors');
 
+const rateLimit = require('../middlewares/rateLimit');
+const { getLimit } = require('../utils/rateLimiter');
+
 module.exports = function(app) {
     // for secure express app by setting various HTTP headers.
     // https://www.securecoding.com/blog/using-helmetjs/
@@ -31,6 +34,15 @@ module.exports = function(app) {
         optionsSuccessStatus: 200 // some legacy browsers (IE11, various SmartTVs) choke on 204
     }));
 
+    // for limiting the requests per IP address or per user, the limits can be changed with the RATE_LIMIT_<NAME> env variables
+    app.use('/api', rateLimit(getLimit('api', 300, 60)));
+    app.use('/api/v1/auth/login', rateLimit(getLimit('login', 10, 15 * 60)));
+    app.use('/api/v1/auth/register', rateLimit(getLimit('register', 5, 60 * 60)));
+    app.use('/api/v1/auth/forgot-password', rateLimit(getLimit('password_reset', 5, 15 * 60)));
+    app.use('/api/v1/auth/reset-password', rateLimit(getLimit('password_reset', 5, 15 * 60)));
+    app.use('/api/v1/auth/resend-verification', rateLimit(getLimit('verification', 5, 60 * 60), { by: 'user' }));
+    app.use('/api/v1/messages', rateLimit(getLimit('messages', 30, 60), { by: 'user', methods: ['POST'] }));
+
     // For HTTP request logging in development environment
     if (app.get('env') === 'development') {
         app.use(morgan(':remote-addr - :method :url :status :res[content-length] - :response-time ms'));
@@ -3,6 +3,7 @@ const authRouter = require('../routes/api/authRoutes');
 const usersRouter = require('../routes/api/userRoutes');
 const chatsRouter = require('../routes/api/chatsRoutes');
 const messagesRouter = require('../routes/api/messagesRoutes');
+const adminRouter = require('../routes/api/adminRoutes');
 
 const errorHandler = require('../middlewares/errorHandler');
 const error404Handler = require('../middlewares/error404Handler');
@@ -14,6 +15,7 @@ module.exports = function(app) {
     app.use('/api/v1/users', usersRouter);
     app.use('/api/v1/chats', chatsRouter);
     app.use('/api/v1/messages', messagesRouter);
+    app.use('/api/v1/admin', adminRouter);
 
     app.use(error404Handler);
     app.use(errorHandler);
@@ -1,4 +1,41 @@
-module.exports = function (server) {
+const cluster = require('cluster');
+const mongoose = require('mongoose');
+const debug = require('debug')('app:debug');
+const { setupWorker } = require('@socket.io/sticky');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+const Chat = require('../models/Chat');
+const { User } = require('../models/User');
+const presence = require('../utils/presence');
+const { isRedisEnabled, createRedisClient } = require('../utils/redis');
+const { setIO, getSessionRoom, emitToUsers } = require('../utils/socket');
+const authenticateSocket = require('../middlewares/authenticateSocket');
+const { limitConnections, limitEvents } = require('../middlewares/rateLimitSocket');
+
+// Check if the user is attached with the chat either as a member or as an admin
+async function isChatMember(chatId, userId) {
+    if (!mongoose.isValidObjectId(chatId)) return false;
+
+    const chat = await Chat.exists({
+        _id: chatId,
+        $or: [
+            {
+                users: {
+                    $elemMatch: { $eq: userId }
+                },
+            },
+            {
+                groupAdmins: {
+                    $elemMatch: { $eq: userId }
+                }
+            }
+        ]
+    });
+
+    return !!chat;
+}
+
+module.exports = function (server, { sticky = false } = {}) {
     const io = require("socket.io")(server, {
         pingTimeout: 60000,
         cors: {
@@ -6,78 +43,110 @@ module.exports = function (server) {
         },
     });
 
-    const onlineUsers = {};
+    // Share the rooms and the broadcasts with the other instances (processes or hosts) through Redis,
+    // otherwise the default in-memory adapter only reaches the sockets of this process
+    if (isRedisEnabled()) {
+        io.adapter(createAdapter(createRedisClient(), createRedisClient()));
+    }
+    else if (cluster.isWorker) {
+        debug('REDIS_URL is not set, the sockets of the other workers are not reachable');
+    }
+
+    // The primary process of the cluster hands over the connections with sticky sessions
+    if (sticky) setupWorker(io);
+
+    // Share the instance with the controllers
+    setIO(io);
+
+    // Limit the connection attempts before verifying their tokens
+    io.use(limitConnections);
+
+    // Only the sockets with a valid JWT are able to connect
+    io.use(authenticateSocket);
 
     io.on('connection', (socket) => {
         const socketId = socket.id;
+        const userId = socket.user._id.toString();
         console.log(`A user with the id: ${socketId} is connected`);
 
-        socket.on('setup', (userId) => {
-            socket.join(userId);
+        // Flood protection for all the events of the socket
+        socket.use(limitEvents(socket));
 
-            onlineUsers[userId] = socketId;
+        // Only the public profile of the user is shared with the other members of the chats
+        const { _id, username, firstName, lastName, avatar } = socket.user;
+        const typingUser = { _id, username, firstName, lastName, avatar };
 
-            io.emit('onlineUsers', onlineUsers);
-        });
+        // The private room of the user is always derived from the authenticated user
+        socket.join(userId);
 
-        socket.on('joinChat', (chatId) => {
-            socket.join(chatId);
-        });
+        // For disconnecting the socket once its session is revoked
+        socket.join(getSessionRoom(socket.session._id));
 
-        socket.on('joinNewGroupChat', ({ chat, userId }) => {
-            socket.join(chat._id);
+        // Only notify the contacts when the first device of the user gets connected
+        presence.addSocket(userId, socketId)
+            .then(async (cameOnline) => {
+                if (!cameOnline) return;
 
-            [...chat.users, ...chat.groupAdmins].forEach((user) => {
-                if (user._id !== userId) {
-                    io.to(user._id).emit('joinGroupChat', chat);
-                }
-            });
+                const contactIds = await presence.getContactIds(userId);
+                emitToUsers(contactIds, 'presenceUpdate', { userId, online: true });
+            })
+            .catch((err) => debug('Socket presence error:', err));
+
+        // Send the ids of the online contacts of the user
+        socket.on('setup', async () => {
+            try {
+                const contactIds = await presence.getContactIds(userId);
+
+                socket.emit('onlineUsers', await presence.getOnlineUserIds(contactIds));
+            }
+            catch (err) {
+                debug('Socket setup error:', err);
+            }
         });
 
-        socket.on('updateGroupChat', ({ chat, userId, addedUser, removedUser }) => {
-            [...chat.users, ...chat.groupAdmins].forEach((user) => {
-                if (user._id !== userId) {
-                    io.to(user._id).emit('updatedGroupChat', chat);
+        socket.on('joinChat', async (chatId) => {
+            try {
+                if (await isChatMember(chatId, socket.user._id)) {
+                    socket.join(chatId);
                 }
-            });
+            }
+            catch (err) {
+                debug('Socket joinChat error:', err);
+            }
+        });
 
-            removedUser.forEach((user) => {
-                io.to(user._id).emit('deleteGroupChat', chat._id);
-            });
+        // The group chat events (joinGroupChat, updatedGroupChat, deleteGroupChat) are only emitted by the
+        // chat controllers once the changes are saved, they are never relayed from the clients
+        socket.on('typing', (payload = {}) => {
+            const chatId = payload?.chatId;
+            if (typeof chatId !== 'string' || !socket.rooms.has(chatId)) return;
 
-            addedUser.forEach((user) => {
-                io.to(user._id).emit('joinGroupChat', chat);
-            });
+            io.to(chatId).except(userId).emit('startTyping', { chatId, user: typingUser });
         });
 
-        socket.on('typing', ({ chatId, user }) => {
-            io.to(chatId).except(user._id).emit('startTyping', { chatId, user });
-        });
+        socket.on('typingOff', (payload = {}) => {
+            const chatId = payload?.chatId;
+            if (typeof chatId !== 'string' || !socket.rooms.has(chatId)) return;
 
-        socket.on('typingOff', ({ chatId, user }) => {
-            io.to(chatId).except(user._id).emit('stopTyping', { chatId, user });
+            io.to(chatId).except(userId).emit('stopTyping', { chatId, user: typingUser });
         });
 
-        socket.on('sendMessage', (message) => {
-            [...message.chat.users, ...message.chat.groupAdmins].forEach((user) => {
-                if (user !== message.sender._id) {
-                    io.to(user).emit('receiveMessage', message);
-                }
-            });
-        });
+        socket.on('disconnect', async () => {
+            console.log(`A user with the id: ${socketId} is disconnected`);
 
-        socket.on('disconnect', () => {
-            for (const key in onlineUsers) {
-                if (onlineUsers[key] === socketId) {
-                    console.log(`A user with the id: ${socketId} is disconnected`);
+            try {
+                // The user is still online as long as any of their devices is connected
+                if (!(await presence.removeSocket(userId, socketId))) return;
 
-                    socket.leave(key);
-                    delete onlineUsers[key];
-                }
-            }
+                const lastSeen = new Date();
+                await User.findByIdAndUpdate(userId, { lastSeen }, { timestamps: false });
 
-            io.emit('onlineUsers', onlineUsers);
+                const contactIds = await presence.getContactIds(userId);
+                emitToUsers(contactIds, 'presenceUpdate', { userId, online: false, lastSeen });
+            }
+            catch (err) {
+                debug('Socket presence error:', err);
+            }
         });
     });
 }
-
@@ -29,6 +29,8 @@ const error = (message, statusCode, errorCode = 0) => {
 
         422, // Unprocessable Entity - it is used where the client has sent a well-formed request, but there are issues with the content of the request that prevent the server from processing it. (semantically incorrect)
 
+        429, // Too Many Requests - the user has sent too many requests in a given amount of time
+
         500  // Internal Server Error - An error occurred on the server
     ];
 
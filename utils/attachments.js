@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const sharp = require('sharp');
+const multer = require('multer');
+const debug = require('debug')('app:debug');
+
+const AppError = require('./AppError');
+
+// Attachments are kept outside of the public folder and only served through the download route
+const ATTACHMENTS_DIR = 'storage/attachments';
+const THUMBNAILS_DIR = 'storage/attachments/thumbnails';
+
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_SIZE = 10 * 1000 * 1000; // 10 MB
+
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Executable and script files are never accepted as attachments
+const BLOCKED_EXTENSIONS = ['.exe', '.bat', '.cmd', '.com', '.msi', '.sh', '.js', '.vbs', '.ps1', '.jar'];
+
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        fs.mkdir(ATTACHMENTS_DIR, { recursive: true }, (err) => cb(err, ATTACHMENTS_DIR));
+    },
+
+    filename: function (req, file, cb) {
+        const fileExtension = path.extname(file.originalname).toLowerCase();
+
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${fileExtension}`);
+    },
+});
+
+function fileFilter(req, file, cb) {
+    const fileExtension = path.extname(file.originalname).toLowerCase();
+
+    if (BLOCKED_EXTENSIONS.includes(fileExtension)) {
+        return cb(new AppError(`Invalid file type. ${fileExtension} files are not allowed as attachments.`, 400), false);
+    }
+
+    cb(null, true);
+}
+
+// Multer middleware which accepts up to MAX_ATTACHMENTS files on the "attachments" field
+const uploadAttachments = multer({
+    storage,
+    fileFilter,
+    limits: {
+        fileSize: MAX_ATTACHMENT_SIZE,
+        files: MAX_ATTACHMENTS,
+    },
+}).array('attachments', MAX_ATTACHMENTS);
+
+function isImage(mimeType) {
+    return IMAGE_MIME_TYPES.includes(mimeType);
+}
+
+// Generate a thumbnail for an uploaded image and return its file name, or null if it can't be generated
+async function createThumbnail(file) {
+    if (!isImage(file.mimetype)) return null;
+
+    const thumbnailName = `${path.parse(file.filename).name}.webp`;
+
+    try {
+        await fs.promises.mkdir(THUMBNAILS_DIR, { recursive: true });
+
+        await sharp(file.path)
+            .resize(320, 320, { fit: 'inside', withoutEnlargement: true })
+            .webp()
+            .toFile(path.join(THUMBNAILS_DIR, thumbnailName));
+
+        return thumbnailName;
+    }
+    catch (err) {
+        debug('Thumbnail Error Occured! ', err);
+        return null;
+    }
+}
+
+// Map the uploaded multer files to the attachment sub documents of a message
+async function buildAttachments(files = []) {
+    return Promise.all(files.map(async (file) => ({
+        fileName: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        thumbnail: await createThumbnail(file),
+    })));
+}
+
+// Remove the uploaded files, used when the request fails after the upload
+async function removeUploadedFiles(files = []) {
+    await Promise.all(files.map((file) => fs.promises.unlink(file.path).catch(() => {})));
+}
+
+// Remove the stored files (and thumbnails) of the attachments of a message
+async function removeAttachmentFiles(attachments = []) {
+    const filePaths = attachments.flatMap((attachment) => [
+        path.join(ATTACHMENTS_DIR, attachment.fileName),
+        ...(attachment.thumbnail ? [path.join(THUMBNAILS_DIR, attachment.thumbnail)] : []),
+    ]);
+
+    await Promise.all(filePaths.map((filePath) => fs.promises.unlink(filePath).catch(() => {})));
+}
+
+function getAttachmentPath(fileName) {
+    return path.resolve(ATTACHMENTS_DIR, fileName);
+}
+
+function getThumbnailPath(fileName) {
+    return path.resolve(THUMBNAILS_DIR, fileName);
+}
+
+module.exports = {
+    uploadAttachments,
+    buildAttachments,
+    removeUploadedFiles,
+    removeAttachmentFiles,
+    getAttachmentPath,
+    getThumbnailPath
+}
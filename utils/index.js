@@ -4,6 +4,10 @@ function generateJWTSecret() {
     return crypto.randomBytes(32).toString('hex');
 }
 
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 function tryCatch(routeHandler) {
     return async function (req, res, next) {
         try {
@@ -19,8 +23,45 @@ function sleep(milliseconds) {
     return new Promise(resolve => setTimeout(resolve, milliseconds));
 }
 
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHTML(string) {
+    return string
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Cut a snippet of the text around the first matched term and wrap every matched term in <mark> tags
+function highlightSnippet(text, terms, radius = 60) {
+    const words = terms.filter(Boolean).map(escapeRegExp);
+    if (!text || !words.length) return escapeHTML((text || '').slice(0, radius * 2));
+
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+
+    const firstMatch = text.search(pattern);
+    const start = Math.max(0, firstMatch - radius);
+    const end = Math.min(text.length, Math.max(firstMatch, 0) + radius);
+
+    const snippet = text
+        .slice(start, end)
+        .split(pattern)
+        .map((part, index) => (index % 2 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)))
+        .join('');
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
 module.exports = {
     generateJWTSecret,
+    hashToken,
     tryCatch,
-    sleep
+    sleep,
+    escapeRegExp,
+    escapeHTML,
+    highlightSnippet
 }
\ No newline at end of file
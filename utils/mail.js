@@ -24,12 +24,12 @@ async function sendEmail(email, subject, body) {
 
     try {
         const info = await transporter.sendMail(mailOptions);
-        debug('Password reset email sent: ' + info.response);
+        debug('Email sent: ' + info.response);
         return info;
     }
     catch (error) {
         debug("Email Error Occured! ", error);
-        throw new AppError('Some Error Occured while sending password reset email', 500, [], EMAIL_ERROR);
+        throw new AppError('Some Error Occured while sending the email', 500, [], EMAIL_ERROR);
     }
 }
 
@@ -0,0 +1,68 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { emitToChatMembers } = require('./socket');
+const { removeAttachmentFiles } = require('./attachments');
+
+/**
+ * Replace the message with a tombstone (without its content, history and attachments),
+ * fix the latest message of the chat and notify the members of the chat.
+ *
+ * @param   {Object} message - Message document to delete.
+ * @param   {Object} chat - Chat document of the message.
+ * @param   {Object} deletedBy - Id of the user who deleted the message.
+ *
+ * @returns {Promise<Object>} The deleted message.
+ */
+async function tombstoneMessage(message, chat, deletedBy) {
+    const deletedMessage = await Message.findByIdAndUpdate(
+        message._id,
+        {
+            $set: {
+                content: "",
+                editHistory: [],
+                attachments: [],
+                isDeleted: true,
+                deletedAt: new Date(),
+                deletedBy,
+            },
+        },
+        { new: true }
+    );
+
+    await removeAttachmentFiles(message.attachments);
+
+    // Point the chat to the latest message which is not deleted
+    if (chat.latestMessage?.toString() === message._id.toString()) {
+        const latestMessage = await Message.findOne({
+            chat: message.chat,
+            threadRoot: null,
+            isDeleted: { $ne: true },
+        }).sort({ createdAt: -1, _id: -1 });
+
+        await Chat.findByIdAndUpdate(
+            message.chat,
+            latestMessage
+                ? { latestMessage: latestMessage._id }
+                : { $unset: { latestMessage: 1 } },
+            { timestamps: false }
+        );
+    }
+
+    emitToChatMembers(
+        chat,
+        "messageDeleted",
+        {
+            _id: deletedMessage._id,
+            chat: deletedMessage.chat,
+            deletedAt: deletedMessage.deletedAt,
+            deletedBy: deletedMessage.deletedBy,
+        },
+        deletedBy
+    );
+
+    return deletedMessage;
+}
+
+module.exports = {
+    tombstoneMessage
+}
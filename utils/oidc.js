@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const debug = require('debug')('app:debug');
+
+const AppError = require('./AppError');
+const { IDENTITY_PROVIDER_ERROR } = require('../constants/errorCodes');
+
+// The discovery document and the signing keys of the provider are cached for an hour
+const CACHE_TTL = 60 * 60 * 1000;
+
+// Only the asymmetric algorithms are accepted for the ID tokens
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+function isOidcEnabled() {
+    return !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+}
+
+function getOidcConfig() {
+    return {
+        issuer: process.env.OIDC_ISSUER.replace(/\/$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        redirectUri: process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_BASE_URL}/oidc/callback`,
+        scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    };
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64url');
+}
+
+async function fetchJSON(url, options) {
+    let response, body;
+    try {
+        response = await fetch(url, options);
+        body = await response.json();
+    }
+    catch (error) {
+        debug('Identity provider request error:', error);
+        throw new AppError('Unable to reach the identity provider', 500, [], IDENTITY_PROVIDER_ERROR);
+    }
+
+    if (!response.ok) {
+        debug('Identity provider error:', response.status, body);
+
+        // e.g. an expired or already used authorization code
+        if (response.status === 400 || response.status === 401)
+            throw new AppError('Your login is invalid, please try again', 401);
+
+        throw new AppError('Unable to reach the identity provider', 500, [], IDENTITY_PROVIDER_ERROR);
+    }
+
+    return body;
+}
+
+// Get the endpoints of the provider from its discovery document
+async function discover() {
+    if (discoveryCache && discoveryCache.fetchedAt > Date.now() - CACHE_TTL) return discoveryCache.metadata;
+
+    const { issuer } = getOidcConfig();
+    const metadata = await fetchJSON(`${issuer}/.well-known/openid-configuration`);
+
+    if (metadata.issuer?.replace(/\/$/, '') !== issuer)
+        throw new AppError('The identity provider is misconfigured', 500, [], IDENTITY_PROVIDER_ERROR);
+
+    discoveryCache = { metadata, fetchedAt: Date.now() };
+    return metadata;
+}
+
+// Get the public key of the provider which signed the ID token, the keys are fetched again for a new key id (key rotation)
+async function getSigningKey(kid) {
+    const findKey = () => jwksCache.keys.find((key) => key.kid === kid || (!kid && key.use !== 'enc'));
+
+    if (!jwksCache || jwksCache.fetchedAt < Date.now() - CACHE_TTL || !findKey()) {
+        const metadata = await discover();
+        const { keys } = await fetchJSON(metadata.jwks_uri);
+
+        jwksCache = { keys: keys || [], fetchedAt: Date.now() };
+    }
+
+    const jwk = findKey();
+    if (!jwk) throw new AppError('Your login is invalid, please try again', 401);
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Create the authorization request of a new login with the state, nonce and PKCE (S256) code verifier.
+ *
+ * @returns {Promise<Object>} The url to redirect the user to, with its state, nonce and codeVerifier.
+ */
+async function createAuthorizationRequest() {
+    const metadata = await discover();
+    const { clientId, redirectUri, scopes } = getOidcConfig();
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+    });
+
+    return {
+        url: `${metadata.authorization_endpoint}?${params.toString()}`,
+        state,
+        nonce,
+        codeVerifier,
+    };
+}
+
+// Exchange the authorization code for the tokens, authenticating with the client secret if there is one
+async function exchangeCode(code, codeVerifier) {
+    const metadata = await discover();
+    const { clientId, clientSecret, redirectUri } = getOidcConfig();
+
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        code_verifier: codeVerifier,
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (clientSecret) {
+        // client_secret_basic is the default of the spec, the secret is only posted if the provider supports nothing else
+        const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+        if (authMethods.includes('client_secret_basic')) {
+            const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+        else {
+            body.set('client_secret', clientSecret);
+        }
+    }
+
+    return fetchJSON(metadata.token_endpoint, { method: 'POST', headers, body });
+}
+
+// Verify the signature and the claims of the ID token, returns its claims
+async function verifyIdToken(idToken, nonce) {
+    const { issuer, clientId } = getOidcConfig();
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg))
+        throw new AppError('Your login is invalid, please try again', 401);
+
+    const key = await getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ALLOWED_ALGORITHMS,
+            audience: clientId,
+            issuer: [issuer, `${issuer}/`],
+        });
+    }
+    catch (error) {
+        debug('ID token error:', error);
+        throw new AppError('Your login is invalid, please try again', 401);
+    }
+
+    if (claims.nonce !== nonce) throw new AppError('Your login is invalid, please try again', 401);
+
+    return claims;
+}
+
+/**
+ * Complete the login with the authorization code and get the identity of the user, the claims of the
+ * ID token are completed with the userinfo endpoint if the email is not a part of the token.
+ *
+ * @param   {String} code - Authorization code returned by the provider.
+ * @param   {Object} login - Stored nonce and codeVerifier of the login.
+ *
+ * @returns {Promise<Object>} The claims of the user (sub, email, email_verified, name, ...).
+ */
+async function getIdentity(code, { nonce, codeVerifier }) {
+    const tokens = await exchangeCode(code, codeVerifier);
+    if (!tokens.id_token) throw new AppError('Your login is invalid, please try again', 401);
+
+    const claims = await verifyIdToken(tokens.id_token, nonce);
+
+    const metadata = await discover();
+    if (!claims.email && tokens.access_token && metadata.userinfo_endpoint) {
+        const userInfo = await fetchJSON(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+        });
+
+        // The userinfo is only trusted for the same subject
+        if (userInfo.sub === claims.sub) return { ...userInfo, ...claims };
+    }
+
+    return claims;
+}
+
+module.exports = {
+    isOidcEnabled,
+    getOidcConfig,
+    createAuthorizationRequest,
+    getIdentity
+}
@@ -0,0 +1,147 @@
+const debug = require('debug')('app:debug');
+
+const Chat = require('../models/Chat');
+const { getRedisClient } = require('./redis');
+
+// Every user can be connected from multiple devices, so we keep all of their socket ids
+const localSockets = new Map();
+
+// The sockets of a crashed instance are not removed, so on Redis every socket expires unless refreshed
+const SOCKET_TTL = 90 * 1000;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+const presenceKey = (userId) => `presence:${userId}`;
+
+// Keeps the sockets in the memory of the process, only for a single instance
+const memoryStore = {
+    async add(userId) {
+        return localSockets.get(userId).size;
+    },
+
+    async remove(userId) {
+        return localSockets.get(userId)?.size || 0;
+    },
+
+    async getOnline(userIds) {
+        return userIds.filter((userId) => localSockets.has(userId));
+    }
+};
+
+// Keeps the sockets of all the instances in a sorted set per user, scored by their expiry time
+const redisStore = {
+    async add(userId, socketId) {
+        const now = Date.now();
+
+        const [, , count] = await getRedisClient().multi()
+            .zRemRangeByScore(presenceKey(userId), 0, now)
+            .zAdd(presenceKey(userId), { score: now + SOCKET_TTL, value: socketId })
+            .zCard(presenceKey(userId))
+            .pExpire(presenceKey(userId), SOCKET_TTL)
+            .exec();
+
+        return count;
+    },
+
+    async remove(userId, socketId) {
+        const [, , count] = await getRedisClient().multi()
+            .zRem(presenceKey(userId), socketId)
+            .zRemRangeByScore(presenceKey(userId), 0, Date.now())
+            .zCard(presenceKey(userId))
+            .exec();
+
+        return count;
+    },
+
+    async getOnline(userIds) {
+        if (!userIds.length) return [];
+
+        const multi = getRedisClient().multi();
+        userIds.forEach((userId) => multi.zCount(presenceKey(userId), Date.now(), '+inf'));
+
+        const counts = await multi.exec();
+        return userIds.filter((userId, index) => counts[index] > 0);
+    },
+
+    // Extend the expiry of the sockets connected to this instance
+    async refresh() {
+        if (!localSockets.size) return;
+
+        const expiresAt = Date.now() + SOCKET_TTL;
+        const multi = getRedisClient().multi();
+
+        localSockets.forEach((sockets, userId) => {
+            sockets.forEach((socketId) => {
+                multi.zAdd(presenceKey(userId), { score: expiresAt, value: socketId }, { XX: true });
+            });
+            multi.pExpire(presenceKey(userId), SOCKET_TTL);
+        });
+
+        await multi.exec();
+    }
+};
+
+const store = getRedisClient() ? redisStore : memoryStore;
+
+if (store === redisStore) {
+    setInterval(() => {
+        redisStore.refresh().catch((err) => debug('Presence heartbeat error:', err));
+    }, HEARTBEAT_INTERVAL).unref();
+}
+
+// Register a socket of the user, resolves to true if the user just came online
+async function addSocket(userId, socketId) {
+    const sockets = localSockets.get(userId) || new Set();
+    sockets.add(socketId);
+    localSockets.set(userId, sockets);
+
+    return (await store.add(userId, socketId)) === 1;
+}
+
+// Unregister a socket of the user, resolves to true if it was the last socket of the user
+async function removeSocket(userId, socketId) {
+    const sockets = localSockets.get(userId);
+    if (sockets) {
+        sockets.delete(socketId);
+        if (!sockets.size) localSockets.delete(userId);
+    }
+
+    return (await store.remove(userId, socketId)) === 0;
+}
+
+async function isOnline(userId) {
+    const online = await store.getOnline([userId.toString()]);
+    return online.length > 0;
+}
+
+// Get the ids of the online users out of the given ones
+function getOnlineUserIds(userIds) {
+    return store.getOnline(userIds.map((userId) => userId.toString()));
+}
+
+// Get the ids of all the users who share at least one chat with the user
+async function getContactIds(userId) {
+    const chats = await Chat.find({
+        $or: [
+            { users: { $elemMatch: { $eq: userId } } },
+            { groupAdmins: { $elemMatch: { $eq: userId } } }
+        ]
+    }).select('users groupAdmins');
+
+    const contactIds = new Set();
+
+    chats.forEach((chat) => {
+        [...chat.users, ...chat.groupAdmins].forEach((id) => contactIds.add(id.toString()));
+    });
+
+    contactIds.delete(userId.toString());
+
+    return [...contactIds];
+}
+
+module.exports = {
+    addSocket,
+    removeSocket,
+    isOnline,
+    getOnlineUserIds,
+    getContactIds
+}
@@ -0,0 +1,103 @@
+const { getRedisClient } = require('./redis');
+
+// Fixed window counters of the process, only for a single instance
+const counters = new Map();
+
+const CLEANUP_INTERVAL = 60 * 1000;
+
+const memoryStore = {
+    async increment(key, windowMs) {
+        const now = Date.now();
+
+        let counter = counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            counters.set(key, counter);
+        }
+
+        counter.count++;
+
+        return { count: counter.count, resetAt: counter.resetAt };
+    }
+};
+
+// Shares the counters between all the instances, every key expires with its window
+const redisStore = {
+    async increment(key, windowMs) {
+        const redis = getRedisClient();
+
+        // The first hit of the window creates the key with its expiry, in the same transaction as the
+        // increment, so a key is never left without an expiry
+        const [, count, ttl] = await redis.multi()
+            .set(key, 0, { PX: windowMs, NX: true })
+            .incr(key)
+            .pTTL(key)
+            .exec();
+
+        return { count, resetAt: Date.now() + ttl };
+    }
+};
+
+const store = getRedisClient() ? redisStore : memoryStore;
+
+if (store === memoryStore) {
+    setInterval(() => {
+        const now = Date.now();
+        counters.forEach((counter, key) => {
+            if (counter.resetAt <= now) counters.delete(key);
+        });
+    }, CLEANUP_INTERVAL).unref();
+}
+
+function isRateLimitEnabled() {
+    return process.env.RATE_LIMIT_ENABLED !== 'false';
+}
+
+/**
+ * Get a limit from the "RATE_LIMIT_<NAME>" environment variable in the "<max>/<window seconds>" format,
+ * e.g. RATE_LIMIT_LOGIN=10/900 allows 10 hits in 15 minutes.
+ *
+ * @param   {String} name - Name of the limit.
+ * @param   {Number} max - Default maximum hits in the window.
+ * @param   {Number} windowSeconds - Default length of the window in seconds.
+ *
+ * @returns {Object} The name, max and windowMs of the limit.
+ */
+function getLimit(name, max, windowSeconds) {
+    const [envMax, envWindow] = (process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '')
+        .split('/')
+        .map((value) => parseInt(value));
+
+    return {
+        name,
+        max: envMax > 0 ? envMax : max,
+        windowMs: (envWindow > 0 ? envWindow : windowSeconds) * 1000,
+    };
+}
+
+/**
+ * Count a hit of the identifier (IP address or user id) against the limit.
+ *
+ * @param   {Object} limit - Limit created by getLimit.
+ * @param   {String} identifier - Whom the hit is counted for.
+ *
+ * @returns {Promise<Object>} If the hit is allowed, the remaining hits and the seconds until the window resets.
+ */
+async function consume(limit, identifier) {
+    const { count, resetAt } = await store.increment(
+        `ratelimit:${limit.name}:${identifier}`,
+        limit.windowMs
+    );
+
+    return {
+        allowed: count <= limit.max,
+        remaining: Math.max(limit.max - count, 0),
+        retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1),
+    };
+}
+
+module.exports = {
+    isRateLimitEnabled,
+    getLimit,
+    consume
+}
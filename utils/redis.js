@@ -0,0 +1,36 @@
+const { createClient } = require('redis');
+const debug = require('debug')('app:debug');
+
+let client = null;
+
+// Redis is optional, without the REDIS_URL everything is kept in the memory of the process
+function isRedisEnabled() {
+    return !!process.env.REDIS_URL;
+}
+
+// Create a new connected client, e.g. the adapter needs its own clients for pub/sub
+function createRedisClient() {
+    const redis = createClient({ url: process.env.REDIS_URL });
+
+    redis.on('error', (err) => debug('Redis error:', err));
+
+    // The commands are queued until the connection is ready
+    redis.connect().catch((err) => debug('Redis connection error:', err));
+
+    return redis;
+}
+
+// Get the shared client of the process, or null if Redis is not configured
+function getRedisClient() {
+    if (!isRedisEnabled()) return null;
+
+    if (!client) client = createRedisClient();
+
+    return client;
+}
+
+module.exports = {
+    isRedisEnabled,
+    createRedisClient,
+    getRedisClient
+}
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+const { hashToken } = require('./index');
+const Session = require('../models/Session');
+const { disconnectSessions } = require('./socket');
+
+const REFRESH_TOKEN_EXPIRES_IN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+
+function getRefreshTokenExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// The refresh token carries the session id so the session can be found without scanning the hashes
+function generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+}
+
+// Create a new session for the user and issue its access and refresh tokens
+async function createSession(user, req) {
+    const session = new Session({
+        user: user._id,
+        userAgent: req.get('user-agent') || '',
+        ip: req.ip,
+        expiresAt: getRefreshTokenExpiry(),
+    });
+
+    const refreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    const token = await user.generateAuthToken(session._id);
+
+    return { token, refreshToken, session };
+}
+
+// Replace the refresh token of the session with a new one, the old one can't be used anymore. The refresh token
+// is only replaced if it is still the one the session was loaded with, so of the concurrent requests with the
+// same refresh token only one gets the new tokens, the others get null (a reuse of the refresh token)
+async function rotateSession(session, user, req) {
+    const refreshToken = generateRefreshToken(session._id);
+
+    const rotatedSession = await Session.findOneAndUpdate(
+        {
+            _id: session._id,
+            refreshTokenHash: session.refreshTokenHash,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        },
+        {
+            $set: {
+                refreshTokenHash: hashToken(refreshToken),
+                expiresAt: getRefreshTokenExpiry(),
+                lastUsedAt: new Date(),
+                userAgent: req.get('user-agent') || session.userAgent,
+                ip: req.ip,
+            }
+        },
+        { new: true }
+    );
+    if (!rotatedSession) return null;
+
+    const token = await user.generateAuthToken(rotatedSession._id);
+
+    return { token, refreshToken, session: rotatedSession };
+}
+
+// Revoke all the active sessions matching the filter and disconnect their sockets
+async function revokeSessions(filter) {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+    if (!sessions.length) return 0;
+
+    const sessionIds = sessions.map((session) => session._id);
+
+    await Session.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() });
+
+    disconnectSessions(sessionIds);
+
+    return sessionIds.length;
+}
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSessions
+}
@@ -0,0 +1,67 @@
+let io = null;
+
+// Keep the socket.io server instance so the controllers can emit events too
+function setIO(instance) {
+    io = instance;
+}
+
+function getIO() {
+    return io;
+}
+
+// Emit an event to the private rooms of the given users, optionally skipping the sockets of
+// one room (the private room of a user or the room of a session)
+function emitToUsers(userIds, event, payload, exceptRoom) {
+    if (!io || !userIds.length) return;
+
+    const rooms = [...new Set(userIds.map((userId) => userId.toString()))];
+
+    let broadcast = io.to(rooms);
+    if (exceptRoom) broadcast = broadcast.except(exceptRoom.toString());
+
+    broadcast.emit(event, payload);
+}
+
+// Emit an event to every member (users and admins) of the given chat document
+function emitToChatMembers(chat, event, payload, exceptRoom) {
+    const members = [...chat.users, ...chat.groupAdmins].map((user) => user._id || user);
+
+    emitToUsers(members, event, payload, exceptRoom);
+}
+
+// Emit an event to the sockets which joined the room of the chat
+function emitToChat(chatId, event, payload) {
+    if (!io) return;
+
+    io.to(chatId.toString()).emit(event, payload);
+}
+
+// Make the sockets of the users leave the room of the chat, once they are not members anymore
+function removeUsersFromChatRoom(userIds, chatId) {
+    if (!io || !userIds.length) return;
+
+    io.in(userIds.map((userId) => userId.toString())).socketsLeave(chatId.toString());
+}
+
+// Room which holds all the sockets connected with the same session
+function getSessionRoom(sessionId) {
+    return `session:${sessionId}`;
+}
+
+// Disconnect all the sockets of the given (revoked) sessions
+function disconnectSessions(sessionIds) {
+    if (!io || !sessionIds.length) return;
+
+    io.in(sessionIds.map(getSessionRoom)).disconnectSockets(true);
+}
+
+module.exports = {
+    setIO,
+    getIO,
+    emitToUsers,
+    emitToChatMembers,
+    emitToChat,
+    removeUsersFromChatRoom,
+    getSessionRoom,
+    disconnectSessions
+}
@@ -0,0 +1,60 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { emitToChatMembers } = require('./socket');
+
+// Get the name of the user shown on the system messages
+function displayName(user) {
+    return user.username;
+}
+
+// Join the names of the users as "a, b and c"
+function joinNames(users) {
+    const names = users.map(displayName);
+
+    return names.length > 1
+        ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+        : names.join('');
+}
+
+/**
+ * Create a system message on the chat, make it the latest message of the chat
+ * and deliver it to all the members of the chat.
+ *
+ * @param   {Object} chat - Chat document, its members receive the message.
+ * @param   {Object} actor - User who performed the action.
+ * @param   {String} action - Name of the event, e.g. "member_left".
+ * @param   {String} content - Human readable text of the event.
+ * @param   {Object} [options] - Users affected by the event and any extra meta data.
+ *
+ * @returns {Promise<Object>} The created message with its sender.
+ */
+async function createSystemMessage(chat, actor, action, content, { users = [], meta } = {}) {
+    const message = await Message.create({
+        type: 'system',
+        content,
+        chat: chat._id,
+        sender: actor._id,
+        systemEvent: {
+            action,
+            users: users.map((user) => user._id || user),
+            meta,
+        },
+    });
+
+    await Chat.findByIdAndUpdate(chat._id, { latestMessage: message._id });
+
+    const completeMessage = await Message.findOne({ _id: message._id }).populate({
+        path: 'sender',
+        select: 'username firstName lastName avatar',
+    });
+
+    emitToChatMembers(chat, 'receiveMessage', completeMessage);
+
+    return completeMessage;
+}
+
+module.exports = {
+    displayName,
+    joinNames,
+    createSystemMessage
+}
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Time based one-time passwords (RFC 6238), compatible with the common authenticator apps
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+
+// Accepted steps before and after the current one, for the clock drift of the devices
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+
+    return output;
+}
+
+function base32Decode(string) {
+    let bits = '';
+    string.replace(/=+$/, '').toUpperCase().split('').forEach((char) => {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+
+        bits += index.toString(2).padStart(5, '0');
+    });
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Generate a new base32 encoded secret of 160 bits
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / PERIOD);
+}
+
+// Generate the code of the secret for the given time step (HOTP with the step as the counter)
+function generateCode(secret, step = getCurrentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Verify the code against the steps around the current time.
+ *
+ * @param   {String} secret - Base32 encoded secret.
+ * @param   {String} code - Code entered by the user.
+ * @param   {Number} lastStep - Step of the last accepted code, the same or older steps are rejected against replays.
+ *
+ * @returns {Number|null} The matched step, or null if the code is invalid.
+ */
+function verifyCode(secret, code, lastStep = -1) {
+    if (typeof code !== 'string' || code.length !== DIGITS) return null;
+
+    const currentStep = getCurrentStep();
+
+    for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+        if (step <= lastStep) continue;
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+    }
+
+    return null;
+}
+
+// Get the otpauth:// URI, the authenticator apps add the account by scanning it as a QR code
+function getProvisioningURI(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    DIGITS,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getProvisioningURI
+}